@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+
+const { spawn } = require("node:child_process");
+const { constants } = require("node:os");
+const { explainOutput } = require("./index");
+const { renderDiagnosis, renderSummary, renderFixed, renderJson } = require("./lib/render");
+const { writeReport, openInBrowser } = require("./lib/report");
+const { watchFiles } = require("./lib/watch");
+const { parseCliArgs, UsageError } = require("./lib/args");
+const { loadConfig, ConfigError } = require("./lib/config");
+const { createStderrTap } = require("./lib/stream");
+const { palette, shouldColor } = require("./lib/colors");
+const { outputOptions } = require("./lib/terminal");
+
+// ------------------- CLI LOGIC -------------------
+
+let parsed;
+let options;
+try {
+  parsed = parseCliArgs(process.argv.slice(2));
+  const { configPath, ...flags } = parsed.options;
+  options = loadConfig({ configPath, overrides: flags });
+} catch (err) {
+  if (!(err instanceof UsageError) && !(err instanceof ConfigError)) throw err;
+  const { RST, RED } = palette(shouldColor(process.stderr, parsed && parsed.options.color));
+  console.error(`${RED}${err.message}${RST}`);
+  process.exit(2);
+}
+
+const { cmd, cmdArgs } = parsed;
+
+// The help, the diagnosis and watch mode's status lines go to stdout;
+// FunErr's own complaints go to stderr, which may be headed somewhere else
+const output = outputOptions(process.stdout, options);
+const { RST, CYN, BOLD, DIM, BG_YEL } = palette(output.color);
+const errColors = palette(shouldColor(process.stderr, options.color));
+
+if (!cmd || (cmd === "node" && cmdArgs.length === 0)) {
+  console.log(`
+${BG_YEL} FunErr ${RST} ${BOLD}Error Messages That Actually Help (And Roast You)${RST}
+
+${BOLD}USAGE:${RST}
+  ${CYN}funerr <file.js> [args...]${RST}
+  ${CYN}funerr node <file.js> [args...]${RST}
+  ${CYN}funerr -- <command> [args...]${RST}
+  ${CYN}funerr [options] <file.js | -- command> [args...]${RST}
+
+${BOLD}OPTIONS:${RST}
+  ${CYN}--format <style>${RST}                text, json, ndjson or an html report (default: text)
+  ${CYN}--report-dir <dir>${RST}             Where --format html writes its report (default: system temp dir)
+  ${CYN}--open${RST}                         Open the HTML report in the browser
+  ${CYN}--tone <roast|friendly|plain>${RST}  How harsh the wording is (default: roast)
+  ${CYN}--editor <name|template>${RST}       Link the location to vscode, cursor, idea, webstorm, sublime or a URL template
+  ${CYN}--[no-]hyperlinks${RST}              Make the location clickable (default: when output is a terminal)
+  ${CYN}--[no-]color${RST}                   Color the output (default: when output is a terminal, unless NO_COLOR is set)
+  ${CYN}--ascii${RST}                        Print boxes, lines and labels in ASCII only
+  ${CYN}--no-source-maps${RST}               Report compiled locations instead of mapping them back
+  ${CYN}--watch${RST}                        Restart the script when project files change
+  ${CYN}--config <path>${RST}                Use this config file instead of searching for one
+
+${BOLD}EXAMPLES:${RST}
+  ${DIM}funerr app.js${RST}
+  ${DIM}funerr server.js --port 3000${RST}
+  ${DIM}funerr node test.js${RST}
+  ${DIM}funerr -- npx ts-node app.ts${RST}
+  ${DIM}funerr -- npm test${RST}
+  ${DIM}funerr --format json app.js${RST}
+  ${DIM}funerr --open app.js${RST}
+  ${DIM}funerr --watch server.js${RST}
+
+${BOLD}NEW: Now covers 80+ error types!${RST}
+  `);
+  process.exit(1);
+}
+
+// --------- 🏃 RUNNING THE SCRIPT ----------
+
+const MACHINE_FORMATS = ["json", "ndjson"];
+
+let child = null;
+let stdoutHadContent = false;
+
+// Starts the script with stdout passed through and stderr tapped for
+// diagnosis, and calls `onClose(exitCode, signal, stderrTap)` when it ends.
+function start(onClose) {
+  const proc = spawn(cmd, cmdArgs, {
+    stdio: ["inherit", "pipe", "pipe"],
+    // npx, npm and friends are .cmd shims on Windows and need a shell to run
+    shell: process.platform === "win32",
+  });
+
+  proc.on("error", (err) => {
+    console.error(`${errColors.RED}Couldn't start "${cmd}": ${err.message}${errColors.RST}`);
+    process.exit(err.code === "ENOENT" ? 127 : 126);
+  });
+
+  const stderrTap = createStderrTap((text) => process.stderr.write(text));
+  stdoutHadContent = false;
+
+  // JSON on stdout has to parse, so the script's own output moves aside
+  const scriptOut = MACHINE_FORMATS.includes(options.format) ? process.stderr : process.stdout;
+  proc.stdout.on("data", (chunk) => {
+    stdoutHadContent = true;
+    scriptOut.write(chunk);
+  });
+
+  proc.stderr.setEncoding("utf8");
+  proc.stderr.on("data", (chunk) => {
+    stderrTap.push(chunk);
+  });
+
+  proc.on("close", (exitCode, signal) => onClose(exitCode, signal, stderrTap));
+  return proc;
+}
+
+// --------- 📡 SIGNAL FORWARDING ----------
+
+const FORWARDED_SIGNALS = ["SIGINT", "SIGTERM", "SIGHUP"];
+let forwardedSignal = null;
+
+for (const signal of FORWARDED_SIGNALS) {
+  process.on(signal, () => {
+    forwardedSignal = signal;
+    if (child && child.exitCode === null && child.signalCode === null) {
+      child.kill(signal);
+    } else if (options.watch) {
+      // Waiting for changes with nothing running: just stop
+      process.exit(128 + constants.signals[signal]);
+    }
+  });
+}
+
+// --------- 📣 REPORTING ----------
+
+function report(diagnoses, { exitCode, signal = null, crashed = false }) {
+  if (options.format === "text") {
+    if (diagnoses.length === 0) return;
+    if (stdoutHadContent) {
+      console.log("");
+    }
+    // Warnings first, so the crash ends up last on screen where it's seen
+    const others = diagnoses.filter(d => d.severity !== "fatal");
+    if (others.length > 0) console.log(renderSummary(others, output));
+    diagnoses.filter(d => d.severity === "fatal").forEach(d => console.log(renderDiagnosis(d, output)));
+    return;
+  }
+
+  if (options.format === "html") {
+    // Warnings from a run that went fine don't make a crash report
+    if (!crashed && !diagnoses.some(d => d.severity === "fatal")) return;
+    reportHtml(diagnoses, exitCode, signal);
+    return;
+  }
+
+  const ndjson = options.format === "ndjson";
+  if (ndjson && diagnoses.length === 0) return;
+  console.log(renderJson(diagnoses, { exitCode, signal, ndjson }));
+}
+
+function howItEnded(exitCode, signal) {
+  return signal ? `was killed by ${signal}` : `exited with code ${exitCode}`;
+}
+
+// Writes the page and says where it went, under the error it's about
+function reportHtml(diagnoses, exitCode, signal) {
+  const main = diagnoses.find(d => d.severity === "fatal");
+  let file;
+  try {
+    file = writeReport(diagnoses, { dir: options.reportDir, cmd, cmdArgs, exitCode, signal });
+  } catch (err) {
+    console.error(`${errColors.RED}Couldn't write the HTML report: ${err.message}${errColors.RST}`);
+    return;
+  }
+
+  const summary = main ? `${main.type}: ${main.message}` : `Process ${howItEnded(exitCode, signal)} but no error details.`;
+  console.error(`${errColors.RED}${summary}${errColors.RST}`);
+  console.error(`${errColors.DIM}Full report: ${file}${errColors.RST}`);
+  if (options.open) openInBrowser(file);
+}
+
+// Signals a process raises on itself when it crashes: V8's fatal errors
+// abort, and native code faults
+const CRASH_SIGNALS = ["SIGABRT", "SIGSEGV", "SIGBUS", "SIGILL", "SIGFPE"];
+
+// Diagnoses and reports how a run ended. Returns the exit code to pass on
+// and whether the script crashed.
+function finishRun(exitCode, signal, stderrTap) {
+  // Killed from outside: nothing crashed, so nothing to roast
+  if (exitCode === null && !CRASH_SIGNALS.includes(signal)) {
+    const stderrText = stderrTap.finish(false);
+    const code = 128 + (constants.signals[signal] || 0);
+    if (signal !== forwardedSignal && options.format === "text") {
+      console.error(`${errColors.DIM}Process was killed by ${signal}. No error to roast.${errColors.RST}`);
+    }
+    report(explainOutput(stderrText, options), { exitCode: code, signal });
+    return { code, crashed: false };
+  }
+
+  const code = exitCode === null ? 128 + constants.signals[signal] : exitCode;
+  const crashed = code !== 0;
+  const diagnoses = explainOutput(stderrTap.finish(crashed), { ...options, crashed });
+
+  if (crashed && !diagnoses.some(d => d.severity === "fatal") && options.format === "text") {
+    console.error(`${errColors.RED}Process ${howItEnded(exitCode, signal)} but no error details.${errColors.RST}`);
+  }
+
+  report(diagnoses, { exitCode: code, signal, crashed });
+  return { code, crashed };
+}
+
+// --------- 👀 WATCH MODE ----------
+
+// A run that's still alive this long after starting counts as fixed
+const SURVIVE_MS = 2000;
+// How long a script gets to exit on SIGTERM before a restart kills it
+const KILL_AFTER_MS = 3000;
+
+function watchAndRestart() {
+  const text = options.format === "text";
+  let broken = false;
+  let restarting = false;
+  let surviveTimer = null;
+  let killTimer = null;
+
+  function markFixed() {
+    if (broken && text) console.log(renderFixed(options.tone, output));
+    broken = false;
+  }
+
+  function run() {
+    child = start(onClose);
+    surviveTimer = setTimeout(markFixed, SURVIVE_MS);
+  }
+
+  function onClose(exitCode, signal, stderrTap) {
+    clearTimeout(surviveTimer);
+    clearTimeout(killTimer);
+    child = null;
+
+    if (forwardedSignal) {
+      process.exit(finishRun(exitCode, signal, stderrTap).code);
+      return;
+    }
+
+    // Stopped by us for a restart, not a crash
+    if (restarting) {
+      stderrTap.finish(false);
+      restarting = false;
+      run();
+      return;
+    }
+
+    const { crashed } = finishRun(exitCode, signal, stderrTap);
+    if (crashed) broken = true;
+    else markFixed();
+    if (text) console.log(`${DIM}Watching for changes... (Ctrl+C to quit)${RST}`);
+  }
+
+  watchFiles(process.cwd(), (file) => {
+    if (restarting) return;
+    // The roast on screen is about code that no longer exists
+    if (broken && text) console.clear();
+    if (text) console.log(`${DIM}${file} changed, restarting...${RST}`);
+
+    if (!child) {
+      run();
+      return;
+    }
+    restarting = true;
+    child.kill("SIGTERM");
+    killTimer = setTimeout(() => child && child.kill("SIGKILL"), KILL_AFTER_MS);
+  });
+
+  run();
+}
+
+if (options.watch) {
+  watchAndRestart();
+} else {
+  child = start((exitCode, signal, stderrTap) => {
+    process.exit(finishRun(exitCode, signal, stderrTap).code);
+  });
+}
@@ -0,0 +1,88 @@
+const { FORMATS, TONES } = require("./config");
+
+// --------- 🚩 CLI ARGUMENTS ----------
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+// Reads funerr's own flags off the front of argv. The first argument that
+// isn't one of ours (or everything after --) is the command to run, so
+// `funerr --inspect app.js` still hands --inspect to node.
+function parseCliArgs(argv) {
+  const options = {};
+  let i = 0;
+
+  while (i < argv.length) {
+    const arg = argv[i];
+    const eq = arg.indexOf("=");
+    const name = eq === -1 ? arg : arg.slice(0, eq);
+    const inlineValue = eq === -1 ? null : arg.slice(eq + 1);
+
+    const takeValue = () => {
+      if (inlineValue !== null) return inlineValue;
+      i++;
+      if (i >= argv.length) throw new UsageError(`${name} needs a value`);
+      return argv[i];
+    };
+
+    if (name === "--config") {
+      options.configPath = takeValue();
+    } else if (name === "--format") {
+      options.format = takeValue();
+      if (!FORMATS.includes(options.format)) {
+        throw new UsageError(`Unknown format "${options.format}" (expected ${FORMATS.join(", ")})`);
+      }
+    } else if (name === "--tone") {
+      options.tone = takeValue();
+      if (!TONES.includes(options.tone)) {
+        throw new UsageError(`Unknown tone "${options.tone}" (expected ${TONES.join(", ")})`);
+      }
+    } else if (name === "--editor") {
+      options.editor = takeValue();
+    } else if (name === "--hyperlinks") {
+      options.hyperlinks = true;
+    } else if (name === "--no-hyperlinks") {
+      options.hyperlinks = false;
+    } else if (name === "--color") {
+      options.color = true;
+    } else if (name === "--no-color") {
+      options.color = false;
+    } else if (name === "--ascii") {
+      options.ascii = true;
+    } else if (name === "--no-source-maps") {
+      options.sourceMaps = false;
+    } else if (name === "--report-dir") {
+      options.reportDir = takeValue();
+    } else if (name === "--open") {
+      options.open = true;
+    } else if (name === "--watch") {
+      options.watch = true;
+    } else {
+      break;
+    }
+    i++;
+  }
+
+  // Both are about the HTML report, so they ask for one
+  if ((options.open || options.reportDir) && !options.format) options.format = "html";
+
+  const rest = argv.slice(i);
+  let cmd = "node";
+  let cmdArgs = rest;
+
+  if (rest[0] === "--") {
+    // Anything after -- is run as-is: npx, npm, tsx, bun, deno...
+    cmd = rest[1];
+    cmdArgs = rest.slice(2);
+  } else if (rest[0] === "node") {
+    cmdArgs = rest.slice(1);
+  }
+
+  return { options, cmd, cmdArgs };
+}
+
+module.exports = { parseCliArgs, UsageError };
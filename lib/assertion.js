@@ -0,0 +1,226 @@
+const util = require("node:util");
+
+// --------- 🆚 ASSERTION DIFFS ----------
+
+// Past this many line-by-line comparisons the diff just lists both sides
+const MAX_DIFF_CELLS = 250000;
+
+// Close to how node:assert prints values in its own diffs: one property per
+// line, keys sorted, so a changed property is a changed line.
+const INSPECT_OPTIONS = {
+  compact: false,
+  sorted: true,
+  depth: 10,
+  breakLength: Infinity,
+  maxArrayLength: 100,
+  maxStringLength: 1000,
+  customInspect: false,
+};
+
+// Longest-common-subsequence diff of two arrays. Entries are
+// { kind: "+" | "-" | " ", value }: "+" only in `actual`, "-" only in
+// `expected`. Within each changed stretch the "+" entries come first, the
+// way node:assert prints them.
+function diffSequences(actual, expected) {
+  const n = actual.length;
+  const m = expected.length;
+  if (n * m > MAX_DIFF_CELLS) {
+    return [...actual.map(value => ({ kind: "+", value })), ...expected.map(value => ({ kind: "-", value }))];
+  }
+
+  // lengths[i][j]: longest common subsequence of actual[i:] and expected[j:]
+  const lengths = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] = actual[i] === expected[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let added = [];
+  let removed = [];
+  const flush = () => {
+    result.push(...added, ...removed);
+    added = [];
+    removed = [];
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && actual[i] === expected[j]) {
+      flush();
+      result.push({ kind: " ", value: actual[i] });
+      i++;
+      j++;
+    } else if (j >= m || (i < n && lengths[i + 1][j] >= lengths[i][j + 1])) {
+      added.push({ kind: "+", value: actual[i++] });
+    } else {
+      removed.push({ kind: "-", value: expected[j++] });
+    }
+  }
+  flush();
+
+  return result;
+}
+
+// Line diff of two printed values, as [{ kind, text }]
+function diffLines(actual, expected) {
+  return diffSequences(actual.split("\n"), expected.split("\n")).map(({ kind, value }) => ({ kind, text: value }));
+}
+
+// Word-level diff of one changed line against its counterpart. Returns the
+// segments of each side as [{ text, changed }].
+function diffWords(actual, expected) {
+  const tokenize = (text) => text.match(/\w+|\s+|[^\w\s]/g) || [];
+  const sides = { actual: [], expected: [] };
+
+  for (const { kind, value } of diffSequences(tokenize(actual), tokenize(expected))) {
+    const targets = kind === " " ? ["actual", "expected"] : [kind === "+" ? "actual" : "expected"];
+    for (const side of targets) {
+      const segments = sides[side];
+      const last = segments[segments.length - 1];
+      const changed = kind !== " ";
+      if (last && last.changed === changed) last.text += value;
+      else segments.push({ text: value, changed });
+    }
+  }
+
+  return sides;
+}
+
+// What threw or didn't isn't a pair of values worth diffing
+const NO_DIFF_OPERATORS = ["throws", "rejects", "doesNotThrow", "doesNotReject"];
+
+function inspectValue(value) {
+  return util.inspect(value, INSPECT_OPTIONS);
+}
+
+// The assertion details of a thrown error: node:assert and chai put
+// actual/expected/operator on the error, Jest puts them on matcherResult.
+function assertionFromError(err) {
+  const isAssertion = err.name === "AssertionError" || err.code === "ERR_ASSERTION" || typeof err.operator === "string";
+  const source = err.matcherResult && typeof err.matcherResult === "object" ? err.matcherResult : isAssertion ? err : null;
+  if (!source || (!("actual" in source) && !("expected" in source))) return null;
+
+  const operator = err.matcherResult ? source.name : err.operator;
+  const actual = inspectValue(source.actual);
+  const expected = inspectValue(source.expected);
+  const diff = NO_DIFF_OPERATORS.includes(operator) ? null : diffLines(actual, expected);
+  return { operator: operator || null, actual, expected, diff };
+}
+
+// The value of `name: ...` in the property block node prints after the
+// stack, which can run over several lines for objects.
+function printedProperty(lines, name) {
+  const start = lines.findIndex(line => line.startsWith(`  ${name}: `));
+  if (start === -1) return null;
+
+  const value = [lines[start].slice(name.length + 4)];
+  for (let i = start + 1; i < lines.length && /^ {3}|^ {2}[\]})]/.test(lines[i]); i++) {
+    value.push(lines[i].slice(2));
+  }
+  return value.join("\n").replace(/,$/, "");
+}
+
+// node:assert's own "+ actual - expected" block from the message, as
+// [{ kind, text }], without the caret it puts under string differences.
+function printedDiff(lines) {
+  // Node 20 adds "... Lines skipped" when it folds part of the diff
+  const start = lines.findIndex(line => line.startsWith("+ actual - expected"));
+  if (start === -1) return null;
+
+  const diff = [];
+  for (const line of lines.slice(start + 1)) {
+    if (/^\s+at /.test(line) || /^ {2}generatedMessage: /.test(line)) break;
+    if (/^\s*\^$/.test(line) || /^\.\.\./.test(line)) continue;
+    const m = line.match(/^([+\- ]) ?(.*)$/);
+    if (m) diff.push({ kind: m[1], text: m[2] });
+  }
+
+  while (diff.length > 0 && diff[0].text === "" && diff[0].kind === " ") diff.shift();
+  while (diff.length > 0 && diff[diff.length - 1].text === "" && diff[diff.length - 1].kind === " ") diff.pop();
+  return diff.length > 0 ? diff : null;
+}
+
+// The assertion details from an AssertionError node printed to stderr
+function parseAssertion(text) {
+  const lines = text.split(/\r?\n/);
+  const operator = printedProperty(lines, "operator");
+  const actual = printedProperty(lines, "actual");
+  const expected = printedProperty(lines, "expected");
+  if (operator === null && actual === null && expected === null) return null;
+
+  const name = operator ? operator.replace(/^'|'$/g, "") : null;
+  let diff = printedDiff(lines);
+  if (!diff && actual !== null && expected !== null) diff = diffLines(actual, expected);
+  if (NO_DIFF_OPERATORS.includes(name)) diff = null;
+  return { operator: name, actual, expected, diff };
+}
+
+// --------- 🔍 WHAT WENT WRONG ----------
+
+const IDENTITY_OPERATORS = { strictEqual: "assert.deepStrictEqual", equal: "assert.deepEqual", toBe: "toEqual" };
+const NEGATED_OPERATORS = ["notStrictEqual", "notDeepStrictEqual", "notEqual", "notDeepEqual"];
+
+// A printed value short enough to quote in a hint
+function quoted(text) {
+  const flat = String(text).replace(/\s*\n\s*/g, " ");
+  return flat.length > 60 ? `${flat.slice(0, 57)}...` : flat;
+}
+
+// Rough type of a printed value
+function printedType(text) {
+  if (text === null) return null;
+  if (/^['"`]/.test(text)) return "string";
+  if (/^-?\d+n$/.test(text)) return "bigint";
+  if (/^-?(\d|Infinity|NaN)/.test(text)) return "number";
+  if (/^(true|false)$/.test(text)) return "boolean";
+  if (/^(null|undefined)$/.test(text)) return text;
+  if (/^\[/.test(text)) return "array";
+  if (/^\/.*\/\w*$/.test(text)) return "RegExp";
+  return "object";
+}
+
+// Captures for the assertion_failed hint: what this operator was checking
+// and the likeliest reason it failed.
+function investigateAssertion(info) {
+  const assertion = info.assertion;
+  const message = info.message || "";
+  if (!assertion) return null;
+
+  const { operator, actual, expected } = assertion;
+  const base = operator ? { operator } : {};
+  const actualType = printedType(actual);
+  const expectedType = printedType(expected);
+
+  if (/not reference-equal|serializes to the same string/.test(message) ||
+      (IDENTITY_OPERATORS[operator] && actual === expected && ["object", "array"].includes(actualType))) {
+    return { ...base, reason: "identity", deepOperator: IDENTITY_OPERATORS[operator] || "assert.deepStrictEqual" };
+  }
+  if (NEGATED_OPERATORS.includes(operator)) {
+    return { ...base, reason: "expected_different", sameValue: quoted(actual) };
+  }
+  if (operator === "throws" || /^Missing expected exception/.test(message)) {
+    return { ...base, reason: "did_not_throw", missingThrow: "assert.throws" };
+  }
+  if (operator === "rejects" || /^Missing expected rejection/.test(message)) {
+    return { ...base, reason: "did_not_throw", missingRejection: "assert.rejects" };
+  }
+  if (operator === "doesNotThrow" || operator === "doesNotReject") {
+    // The message quotes it; stderr only has the first line, but `actual` is the error
+    const m = message.match(/Actual message: "(.*)"/) || String(actual).match(/^\[?\w*Error: (.*?)\]?$/m);
+    return { ...base, reason: "threw", thrownMessage: m ? m[1] : "an error" };
+  }
+  if (operator === "match") return { ...base, reason: "no_match", pattern: quoted(expected) };
+  if (operator === "doesNotMatch") return { ...base, reason: "matched", unwantedPattern: quoted(expected) };
+  if (operator === "==" && expected === "true") return { ...base, reason: "falsy", falsyValue: quoted(actual) };
+  if (actualType && expectedType && actualType !== expectedType) {
+    return { ...base, reason: "type_mismatch", actualType, expectedType };
+  }
+  return Object.keys(base).length > 0 ? base : null;
+}
+
+module.exports = { assertionFromError, parseAssertion, diffLines, diffWords, investigateAssertion };
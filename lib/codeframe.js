@@ -0,0 +1,40 @@
+const fs = require("node:fs");
+const { toFsPath } = require("./paths");
+
+// --------- 🖼️ CODE FRAMES ----------
+
+const MAX_LINE_LENGTH = 160;
+
+// Reads the lines around `line` from the source file, or from `source` when
+// the text is already at hand. Returns null when the file can't be read
+// (eval code, REPL, deleted files) or the line is out of range.
+function readCodeFrame(filePath, line, column, { above = 2, below = 2, source = null } = {}) {
+  const target = Number(line);
+  if (!filePath || !target) return null;
+
+  const fsPath = toFsPath(filePath);
+  if (!fsPath) return null;
+
+  if (source === null) {
+    try {
+      source = fs.readFileSync(fsPath, "utf8");
+    } catch (err) {
+      return null;
+    }
+  }
+
+  const sourceLines = source.split(/\r?\n/);
+  if (sourceLines.length > 1 && sourceLines[sourceLines.length - 1] === "") sourceLines.pop();
+  if (target > sourceLines.length) return null;
+
+  const start = Math.max(1, target - above);
+  const end = Math.min(sourceLines.length, target + below);
+  const lines = [];
+  for (let n = start; n <= end; n++) {
+    lines.push({ number: n, text: sourceLines[n - 1].slice(0, MAX_LINE_LENGTH) });
+  }
+
+  return { file: filePath, line: target, column: column ? Number(column) : null, lines };
+}
+
+module.exports = { readCodeFrame };
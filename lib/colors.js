@@ -0,0 +1,38 @@
+// --------- 🎨 ANSI COLORS ---------
+const RST = "\x1b[0m";
+const RED = "\x1b[1;31m";
+const GRN = "\x1b[1;32m";
+const YEL = "\x1b[1;33m";
+const CYN = "\x1b[1;36m";
+const MAG = "\x1b[1;35m";
+const BOLD = "\x1b[1m";
+const DIM = "\x1b[2m";
+const BG_RED = "\x1b[41m\x1b[37m";
+const BG_YEL = "\x1b[43m\x1b[30m";
+
+const CODES = { RST, RED, GRN, YEL, CYN, MAG, BOLD, DIM, BG_RED, BG_YEL };
+const NO_CODES = Object.fromEntries(Object.keys(CODES).map(name => [name, ""]));
+
+// Whether to color what's written to `stream`. `setting` is the `color`
+// config: true or false decide outright, "auto" follows FORCE_COLOR, then
+// NO_COLOR (https://no-color.org), then whether it's a terminal at all.
+function shouldColor(stream, setting = "auto") {
+  if (setting !== "auto") return Boolean(setting);
+
+  const force = process.env.FORCE_COLOR;
+  if (force !== undefined) return !["0", "false"].includes(force);
+  if (process.env.NO_COLOR) return false;
+  return Boolean(stream && stream.isTTY) && process.env.TERM !== "dumb";
+}
+
+// The color codes by name, or empty strings when `enabled` is false
+function palette(enabled) {
+  return enabled ? CODES : NO_CODES;
+}
+
+// Test runners color their error messages; patterns need the bare text
+function stripAnsi(text) {
+  return text.replace(/\x1b\[[0-9;]*m/g, "");
+}
+
+module.exports = { RST, RED, GRN, YEL, CYN, MAG, BOLD, DIM, BG_RED, BG_YEL, shouldColor, palette, stripAnsi };
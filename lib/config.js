@@ -0,0 +1,183 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const { checkCustomPattern } = require("./patterns");
+const { loadPlugins, PluginError } = require("./plugins");
+
+// --------- ⚙️ CONFIGURATION ----------
+
+const CONFIG_FILES = [".funerrrc.json", "funerr.config.js", "funerr.config.cjs"];
+
+const FORMATS = ["text", "json", "ndjson", "html"];
+const TONES = ["roast", "friendly", "plain"];
+
+// Settings a config file can hold; anything else is most likely a typo
+const KNOWN_KEYS = ["format", "tone", "editor", "hyperlinks", "color", "ascii", "sourceMaps", "reportDir",
+  "disabledPatterns", "customPatterns", "plugins", "ignoreFrames"];
+
+const DEFAULTS = {
+  format: "text",
+  tone: "roast",
+  editor: null,
+  hyperlinks: "auto",
+  color: "auto",
+  ascii: false,
+  sourceMaps: true,
+  reportDir: null,
+  disabledPatterns: [],
+  customPatterns: [],
+  plugins: [],
+};
+
+class ConfigError extends Error {
+  constructor(message, filepath) {
+    super(filepath ? `${filepath}: ${message}` : message);
+    this.name = "ConfigError";
+    this.filepath = filepath || null;
+  }
+}
+
+function readConfigFile(filepath) {
+  if (!fs.existsSync(filepath)) {
+    throw new ConfigError("file not found", filepath);
+  }
+
+  if (filepath.endsWith(".js") || filepath.endsWith(".cjs")) {
+    let config;
+    try {
+      config = require(filepath);
+    } catch (err) {
+      throw new ConfigError(`failed to load (${err.message})`, filepath);
+    }
+    // `export default {...}`, loaded through require(esm) or a transpiler
+    return config && config.__esModule && config.default ? config.default : config;
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filepath, "utf8"));
+  } catch (err) {
+    throw new ConfigError(`not valid JSON (${err.message})`, filepath);
+  }
+
+  if (path.basename(filepath) === "package.json") return raw.funerr;
+  return raw;
+}
+
+// Walks up from `cwd` and returns the first config found, checking
+// .funerrrc.json, funerr.config.js, funerr.config.cjs and then a "funerr"
+// key in package.json in each directory.
+function findConfig(cwd) {
+  let dir = path.resolve(cwd);
+
+  while (true) {
+    for (const name of CONFIG_FILES) {
+      const filepath = path.join(dir, name);
+      if (fs.existsSync(filepath)) return { filepath, config: readConfigFile(filepath) };
+    }
+
+    const pkgPath = path.join(dir, "package.json");
+    if (fs.existsSync(pkgPath)) {
+      const config = readConfigFile(pkgPath);
+      if (config !== undefined) return { filepath: pkgPath, config };
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return { filepath: null, config: {} };
+    dir = parent;
+  }
+}
+
+function validateConfig(config, filepath) {
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new ConfigError("config must be an object", filepath);
+  }
+
+  const unknown = Object.keys(config).find(key => !KNOWN_KEYS.includes(key));
+  if (unknown !== undefined) {
+    throw new ConfigError(`unknown setting "${unknown}" (expected one of ${KNOWN_KEYS.join(", ")})`, filepath);
+  }
+
+  if (config.format !== undefined && !FORMATS.includes(config.format)) {
+    throw new ConfigError(`unknown format "${config.format}" (expected ${FORMATS.join(", ")})`, filepath);
+  }
+
+  if (config.tone !== undefined && !TONES.includes(config.tone)) {
+    throw new ConfigError(`unknown tone "${config.tone}" (expected ${TONES.join(", ")})`, filepath);
+  }
+
+  if (config.editor !== undefined && config.editor !== null && typeof config.editor !== "string") {
+    throw new ConfigError('"editor" must be a preset name or a URL template', filepath);
+  }
+
+  if (config.hyperlinks !== undefined && ![true, false, "auto"].includes(config.hyperlinks)) {
+    throw new ConfigError('"hyperlinks" must be true, false or "auto"', filepath);
+  }
+
+  if (config.color !== undefined && ![true, false, "auto"].includes(config.color)) {
+    throw new ConfigError('"color" must be true, false or "auto"', filepath);
+  }
+
+  if (config.ascii !== undefined && typeof config.ascii !== "boolean") {
+    throw new ConfigError('"ascii" must be true or false', filepath);
+  }
+
+  if (config.sourceMaps !== undefined && typeof config.sourceMaps !== "boolean") {
+    throw new ConfigError('"sourceMaps" must be true or false', filepath);
+  }
+
+  if (config.reportDir !== undefined && config.reportDir !== null && typeof config.reportDir !== "string") {
+    throw new ConfigError('"reportDir" must be a directory path', filepath);
+  }
+
+  for (const key of ["disabledPatterns", "customPatterns", "ignoreFrames", "plugins"]) {
+    if (config[key] !== undefined && !Array.isArray(config[key])) {
+      throw new ConfigError(`"${key}" must be an array`, filepath);
+    }
+  }
+
+  for (const p of config.customPatterns || []) {
+    const problem = checkCustomPattern(p);
+    if (problem) throw new ConfigError(`"customPatterns": ${problem}`, filepath);
+  }
+
+  return config;
+}
+
+// Settings from the config file, with `overrides` (CLI flags) on top.
+// Pass `configPath` to use a specific file instead of searching, or
+// `search: false` to skip config files entirely.
+function loadConfig({ cwd = process.cwd(), configPath = null, search = true, overrides = {} } = {}) {
+  let found = { filepath: null, config: {} };
+  if (configPath) {
+    const filepath = path.resolve(cwd, configPath);
+    found = { filepath, config: readConfigFile(filepath) };
+  } else if (search) {
+    found = findConfig(cwd);
+  }
+
+  const fileConfig = validateConfig(found.config || {}, found.filepath);
+  const config = { ...DEFAULTS, ...fileConfig, ...overrides, configPath: found.filepath };
+
+  try {
+    config.plugins = loadPlugins(config.plugins, found.filepath ? path.dirname(found.filepath) : cwd);
+  } catch (err) {
+    if (!(err instanceof PluginError)) throw err;
+    throw new ConfigError(err.message, found.filepath);
+  }
+
+  return config;
+}
+
+// For code running inside the user's process (register, test reporters):
+// a broken config file shouldn't take the app down with it.
+function loadConfigSafely(overrides = {}) {
+  try {
+    return loadConfig({ overrides });
+  } catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    console.error(`funerr: ignoring config, ${err.message}`);
+    return loadConfig({ search: false, overrides });
+  }
+}
+
+module.exports = { loadConfig, loadConfigSafely, ConfigError, DEFAULTS, FORMATS, TONES };
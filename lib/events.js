@@ -0,0 +1,93 @@
+// --------- 🧩 STDERR EVENTS ----------
+
+// Node's "file.js:12" source header above an uncaught exception
+const SOURCE_HEADER = /^(?:file:\/\/\/?)?(?:[A-Za-z]:|node:)?[^\s:]+:\d+$/;
+
+// "TypeError: ...", "Error [ERR_X]: ...", "[AggregateError: ...]", a bare
+// "Error" or V8's "FATAL ERROR: ...", but not a log line that merely starts
+// with the word
+const ERROR_LINE = /^(?:\[?(?:Uncaught )?(?:[A-Z]\w*)?(?:Error|Exception|Rejection)(?::| \[\w+\]|$)|FATAL ERROR: )/;
+
+// Lines between a source header and its error line: the source, the caret
+// and a blank line
+const HEADER_REACH = 5;
+
+// "(node:1234) [DEP0005] DeprecationWarning: Buffer() is deprecated ..."
+const WARNING_LINE = /^\(node:\d+\) (?:\[(\w+)\] )?(\w*Warning): (.*)$/;
+
+// Printed after the first warning unless --trace-warnings is on
+const WARNING_TRAILER = /^\(Use `.+` to show where the warning was created\)$/;
+
+// Whether a line can open a crash trace. The live tap can't see what comes
+// next, so any source header counts here.
+function startsBlock(line) {
+  return SOURCE_HEADER.test(line) || ERROR_LINE.test(line);
+}
+
+// A source header only opens a block when an error line follows it;
+// "retries:3" on its own is just logging
+function opensBlock(lines, i) {
+  if (ERROR_LINE.test(lines[i])) return true;
+  if (!SOURCE_HEADER.test(lines[i])) return false;
+  for (const line of lines.slice(i + 1, i + 1 + HEADER_REACH)) {
+    if (ERROR_LINE.test(line)) return true;
+    if (SOURCE_HEADER.test(line)) return false;
+  }
+  return false;
+}
+
+// Splits stderr into Node's process warnings, error blocks and whatever else
+// was logged, in the order they were printed:
+//
+//   [{ kind: "warning" | "error" | "output", text }]
+//
+// A block that opens with a "file.js:12" source header runs on through the
+// error line below it; the next header or error line after that starts a new
+// block.
+function splitStderrEvents(text) {
+  const events = [];
+  let current = null;
+
+  function open(kind, line) {
+    current = { kind, lines: [line], sawError: false };
+    events.push(current);
+  }
+
+  const lines = text.split("\n");
+  lines.forEach((line, i) => {
+    if (WARNING_LINE.test(line)) {
+      open("warning", line);
+      return;
+    }
+
+    if (current && current.kind === "warning") {
+      // --trace-warnings adds a stack under the warning
+      if (/^\s+at /.test(line) || WARNING_TRAILER.test(line)) {
+        current.lines.push(line);
+        return;
+      }
+      current = null;
+    }
+
+    if (opensBlock(lines, i)) {
+      const isErrorLine = ERROR_LINE.test(line);
+      if (current && current.kind === "error" && !current.sawError && isErrorLine) {
+        current.lines.push(line);
+      } else {
+        open("error", line);
+      }
+      current.sawError = current.sawError || isErrorLine;
+      return;
+    }
+
+    if (current) {
+      current.lines.push(line);
+    } else if (line.trim()) {
+      open("output", line);
+    }
+  });
+
+  return events.map(({ kind, lines }) => ({ kind, text: lines.join("\n").trimEnd() }));
+}
+
+module.exports = { WARNING_LINE, SOURCE_HEADER, startsBlock, splitStderrEvents };
@@ -0,0 +1,119 @@
+const { parseNodeError, parseErrorObject, parseWarning, extractErrorContext } = require("./parser");
+const { splitStderrEvents } = require("./events");
+const { matchPatterns } = require("./patterns");
+const { getRoastAndHint } = require("./roasts");
+const { readCodeFrame } = require("./codeframe");
+const { editorUrl } = require("./paths");
+const { applySourceMaps, mappedSourceContent } = require("./sourcemap");
+const { investigateMissingModule } = require("./modules");
+const { investigateAssertion } = require("./assertion");
+const { investigateUndefinedName, investigateNotAFunction, investigateUndefinedProperty } = require("./suggestions");
+
+// Patterns worth a look at the project before picking the hint. Each returns
+// extra captures for the roast entry's details, or null.
+const INVESTIGATIONS = {
+  module_not_found: investigateMissingModule,
+  not_defined: investigateUndefinedName,
+  not_a_function: investigateNotAFunction,
+  undefined_property: investigateUndefinedProperty,
+  assertion_failed: investigateAssertion,
+};
+
+// --------- 🧠 PROGRAMMATIC API ----------
+
+// Diagnose an Error object (or anything thrown) or raw stderr text.
+// Returns the parsed error fields plus the matched pattern and its roast/hint.
+// `cause` and `errors` (AggregateError members) are diagnosed the same way,
+// and the innermost cause is flagged `rootCause: true`.
+// `options` takes the same settings as the config file.
+function explain(input, options = {}) {
+  const parsed = typeof input === "string" ? parseNodeError(input, options) : parseErrorObject(input, options);
+  return diagnoseParsed(parsed, options);
+}
+
+// Diagnose everything a run printed to stderr: each process warning and each
+// error block, in order, with `severity` set to "warning", "error" or "fatal".
+// With `crashed`, the last error block is the one that ended the process.
+// Repeats of the same warning or logged error are merged and counted.
+function explainOutput(stderrText, options = {}) {
+  const { crashed = false } = options;
+  const events = splitStderrEvents(stderrText);
+  const errorEvents = events.filter(e => e.kind === "error");
+  let fatal = crashed ? errorEvents[errorEvents.length - 1] : null;
+
+  // Crashed without a recognisable error block: diagnose whatever was printed
+  if (crashed && !fatal) {
+    const output = events.filter(e => e.kind === "output").map(e => e.text).join("\n");
+    if (output.trim()) {
+      fatal = { kind: "error", text: output };
+      events.push(fatal);
+    }
+  }
+
+  const diagnoses = [];
+  const seen = new Map();
+
+  for (const event of events) {
+    if (event.kind === "output" && event !== fatal) continue;
+
+    if (event === fatal) {
+      diagnoses.push({ ...diagnoseParsed(parseNodeError(event.text, options), options), severity: "fatal" });
+      continue;
+    }
+
+    const isWarning = event.kind === "warning";
+    const parsed = isWarning ? parseWarning(event.text, options) : parseNodeError(event.text, options);
+    // Logging that only looked like an error block
+    if (parsed.type === "UnknownError") continue;
+    const key = [parsed.type, parsed.code, parsed.message].join("\0");
+    if (seen.has(key)) {
+      seen.get(key).count++;
+      continue;
+    }
+
+    const diagnosis = { ...diagnoseParsed(parsed, options), severity: isWarning ? "warning" : "error", count: 1 };
+    seen.set(key, diagnosis);
+    diagnoses.push(diagnosis);
+  }
+
+  return diagnoses;
+}
+
+function diagnoseParsed(parsed, options) {
+  const info = options.sourceMaps === false ? parsed : applySourceMaps(parsed, options);
+  const diagnosis = diagnose(info, options);
+
+  let root = diagnosis;
+  while (root.cause) root = root.cause;
+  if (root !== diagnosis) root.rootCause = true;
+
+  return diagnosis;
+}
+
+function diagnose(info, options) {
+  const match = matchPatterns(info, options);
+  const investigate = INVESTIGATIONS[match.pattern];
+  if (investigate) {
+    try {
+      Object.assign(match.captures, investigate(info, match.captures, options));
+    } catch (err) {
+      // A look around the project is a bonus; never let it break the diagnosis
+    }
+  }
+  const { pattern, confidence, captures, runnersUp } = match;
+  const { emoji, roast, hint, extraBurn } = getRoastAndHint(info, options, match);
+  const context = extractErrorContext(info.fullText, info, options);
+  const codeFrame = readCodeFrame(info.filePath, info.line, info.column, {
+    source: mappedSourceContent(info.generated),
+  });
+  const openUrl = editorUrl(options.editor, info.filePath, info.line, info.column);
+
+  const tone = options.tone || "roast";
+
+  const result = { ...info, pattern, confidence, captures, runnersUp, tone, emoji, roast, hint, extraBurn, context, codeFrame, editorUrl: openUrl };
+  if (info.cause) result.cause = diagnose(info.cause, options);
+  if (info.errors) result.errors = info.errors.map(e => diagnose(e, options));
+  return result;
+}
+
+module.exports = { explain, explainOutput };
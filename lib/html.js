@@ -0,0 +1,242 @@
+const { displayPath, fileUrl } = require("./paths");
+
+// --------- 🌐 HTML RENDERER ----------
+
+// The terminal wording, for a page. Same diagnosis, same three tones.
+const HTML_TONES = {
+  roast: {
+    banner: "🔥 EMOTIONAL DAMAGE 🔥",
+    explanation: "The Roast",
+    fix: "💡 How to fix (if you're capable)",
+    tree: "🔗 The Chain of Blame",
+    diff: "🆚 Expectations vs Reality",
+    stack: "🕵️ How You Got Here",
+    others: "🙈 Also On Your Rap Sheet",
+    environment: "🧾 Where It Happened",
+    raw: "📜 The Full Confession",
+  },
+  friendly: {
+    banner: "🩹 Let's fix this",
+    explanation: "What happened",
+    fix: "💡 How to fix",
+    tree: "🔗 What Led Here",
+    diff: "🆚 Expected vs Actual",
+    stack: "🧵 Call Stack",
+    others: "👀 Also Worth a Look",
+    environment: "🖥️ Environment",
+    raw: "📜 Raw Output",
+  },
+  plain: {
+    banner: "Error",
+    explanation: "Explanation",
+    fix: "How to fix",
+    tree: "Caused by",
+    diff: "Diff",
+    stack: "Call stack",
+    others: "Also reported",
+    environment: "Environment",
+    raw: "Raw output",
+  },
+};
+
+const STYLES = `
+  body { margin: 0; padding: 2rem; background: #16161d; color: #e4e4e7; font: 15px/1.5 system-ui, sans-serif; }
+  main { max-width: 60rem; margin: 0 auto; }
+  h1 { margin: 0 0 .25rem; font-size: 1.6rem; color: #f87171; }
+  h2 { margin: 1.75rem 0 .5rem; font-size: .8rem; letter-spacing: .08em; text-transform: uppercase; color: #a1a1aa; }
+  a { color: #93c5fd; }
+  pre { margin: 0; padding: .75rem 1rem; overflow-x: auto; background: #0d0d12; border-radius: 6px; font: 13px/1.5 ui-monospace, monospace; }
+  .banner { display: inline-block; margin-bottom: 1rem; padding: .2rem .6rem; border-radius: 4px; background: #b91c1c; color: #fff; font-weight: 700; }
+  .friendly .banner { background: #ca8a04; color: #111; }
+  .plain .banner { background: #3f3f46; }
+  .message { margin: 0; font-size: 1.1rem; color: #fde68a; white-space: pre-wrap; }
+  .meta { color: #a1a1aa; }
+  .roast { color: #fca5a5; }
+  .burn { color: #a1a1aa; font-style: italic; }
+  .hint { padding: .75rem 1rem; border-left: 3px solid #22d3ee; background: #0e2a30; color: #cffafe; }
+  .crash { background: #3b1219; }
+  .caret { color: #f87171; }
+  .add { color: #4ade80; }
+  .del { color: #f87171; }
+  .same, .dim { color: #71717a; }
+  .root { color: #f87171; font-weight: 700; }
+  summary { cursor: pointer; color: #a1a1aa; }
+  details pre { margin-top: .5rem; }
+  table { border-collapse: collapse; }
+  th { padding: .2rem 1.5rem .2rem 0; text-align: left; font-weight: 400; color: #a1a1aa; }
+  td { font-family: ui-monospace, monospace; font-size: 13px; }
+  ul { margin: 0; padding-left: 1.25rem; }
+  li { margin: .25rem 0; }
+  section + section { margin-top: 2.5rem; padding-top: 1.5rem; border-top: 1px solid #27272a; }
+`;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function location({ file, filePath, line, column, editorUrl }) {
+  const text = escapeHtml(column ? `${file}:${line}:${column}` : `${file}:${line}`);
+  const target = editorUrl || fileUrl(filePath);
+  return target ? `<a href="${escapeHtml(target)}">${text}</a>` : text;
+}
+
+function codeFrameHtml(frame) {
+  const width = String(frame.lines[frame.lines.length - 1].number).length;
+  const rows = frame.lines.map(({ number, text }) => {
+    const num = String(number).padStart(width);
+    if (number !== frame.line) return `<span class="dim">  ${num} | </span>${escapeHtml(text)}`;
+    let row = `<span class="crash">&gt; ${num} | ${escapeHtml(text)}</span>`;
+    if (frame.column) {
+      const pad = text.slice(0, frame.column - 1).replace(/[^\t]/g, " ");
+      row += `\n<span class="dim">  ${" ".repeat(width)} | </span>${pad}<span class="caret">^</span>`;
+    }
+    return row;
+  });
+  return `<pre>${rows.join("\n")}</pre>`;
+}
+
+function diffHtml(diff) {
+  const rows = diff.map(({ kind, text }) => {
+    const cls = kind === "+" ? "add" : kind === "-" ? "del" : "same";
+    return `<span class="${cls}">${kind} ${escapeHtml(text)}</span>`;
+  });
+  return `<pre>${rows.join("\n")}</pre>`;
+}
+
+// Every frame, with the ones in your own code (and not in `ignoreFrames`)
+// standing out
+function stackHtml(frames) {
+  const rows = frames.map(f => {
+    const name = escapeHtml(`${f.async ? "async " : ""}${f.fn || "<anonymous>"}`);
+    const loc = escapeHtml(!f.file ? "native" : f.line ? `${displayPath(f.file)}:${f.line}:${f.column}` : f.file);
+    const target = f.kind === "user" ? fileUrl(f.file) : null;
+    const where = `<span class="meta">${target ? `<a href="${escapeHtml(target)}">${loc}</a>` : loc}</span>`;
+    return f.kind === "user" && !f.ignored
+      ? `<li><strong>${name}</strong> ${where}</li>`
+      : `<li class="dim">${name} ${where}</li>`;
+  });
+  return rows.length > 0 ? `<ul>${rows.join("")}</ul>` : "";
+}
+
+// Where the run happened, from the CLI's HTML report
+function environmentHtml(environment, labels) {
+  const rows = [
+    ["Command", environment.command],
+    ["Exit", environment.signal ? `killed by ${environment.signal}` : `code ${environment.exitCode}`],
+    ["Node", environment.node],
+    ["Platform", environment.platform],
+    ["Directory", environment.cwd],
+    ["Time", environment.time],
+    ["FunErr", environment.funerr],
+  ].filter(([, value]) => value !== undefined && value !== null);
+
+  const cells = rows.map(([name, value]) => `<tr><th>${name}</th><td>${escapeHtml(value)}</td></tr>`);
+  return `<section><h2>${labels.environment}</h2><table>${cells.join("")}</table></section>`;
+}
+
+function treeHtml(diagnosis) {
+  const children = (diagnosis.errors || []).map((node, i) => ({ label: `[${i}] `, node }));
+  if (diagnosis.cause) children.push({ label: "", node: diagnosis.cause });
+  if (children.length === 0) return "";
+
+  const items = children.map(({ label, node }) => {
+    const text = escapeHtml(`${label}${node.type}: ${node.message}`);
+    const where = node.file ? ` <span class="meta">${location(node)}</span>` : "";
+    const entry = node.rootCause ? `<span class="root">🎯 ${text}</span>` : text;
+    const hint = node.pattern !== "generic" && node.hint ? `<div class="meta">💡 ${escapeHtml(node.hint)}</div>` : "";
+    return `<li>${entry}${where}${hint}${treeHtml(node)}</li>`;
+  });
+  return `<ul>${items.join("")}</ul>`;
+}
+
+// One diagnosis as a page section: what broke and where, the roast, the
+// fix, and the evidence below.
+function diagnosisHtml(diagnosis, labels) {
+  let root = diagnosis;
+  while (root.cause) root = root.cause;
+  const lead = root.pattern !== "generic" ? root : diagnosis;
+  const out = [];
+
+  out.push(`<h1>${escapeHtml(diagnosis.type)}</h1>`);
+  out.push(`<p class="message">${escapeHtml(diagnosis.message)}</p>`);
+  const meta = [];
+  if (diagnosis.file) meta.push(location(diagnosis));
+  if (diagnosis.code) meta.push(escapeHtml(diagnosis.code));
+  if (meta.length > 0) out.push(`<p class="meta">${meta.join(" · ")}</p>`);
+
+  if (lead.roast) {
+    out.push(`<h2>${labels.explanation}</h2>`);
+    out.push(`<p class="roast">${diagnosis.tone === "plain" ? "" : `${escapeHtml(lead.emoji)} `}${escapeHtml(lead.roast)}</p>`);
+    if (lead.extraBurn) out.push(`<p class="burn">${escapeHtml(lead.extraBurn)}</p>`);
+  }
+  out.push(`<h2>${labels.fix}</h2>`);
+  out.push(`<p class="hint">${escapeHtml(lead.hint)}</p>`);
+
+  const tree = treeHtml(diagnosis);
+  if (tree) out.push(`<h2>${labels.tree}</h2>${tree}`);
+
+  const diff = diagnosis.assertion && diagnosis.assertion.diff;
+  if (diff && diff.some(row => row.kind !== " ")) out.push(`<h2>${labels.diff}</h2>${diffHtml(diff)}`);
+
+  if (diagnosis.codeFrame) out.push(codeFrameHtml(diagnosis.codeFrame));
+
+  const stack = stackHtml(diagnosis.frames || []);
+  if (stack) out.push(`<h2>${labels.stack}</h2>${stack}`);
+
+  if (diagnosis.fullText) {
+    out.push(`<details><summary>${labels.raw}</summary><pre>${escapeHtml(diagnosis.fullText)}</pre></details>`);
+  }
+
+  return out.join("\n");
+}
+
+// A standalone page for one or more diagnoses. The fatal one (or the first)
+// leads; warnings and logged errors follow in a short list. `heading` is an
+// extra line under the banner, like the request that failed, and
+// `environment` adds a table of where the run happened at the end.
+function renderHtml(diagnoses, { heading = null, environment = null } = {}) {
+  const main = diagnoses.find(d => d.severity === "fatal") || diagnoses[0];
+  const tone = main && HTML_TONES[main.tone] ? main.tone : "roast";
+  const labels = HTML_TONES[tone];
+  const others = diagnoses.filter(d => d !== main);
+  const body = [];
+
+  body.push(`<div class="banner">${labels.banner}</div>`);
+  if (heading) body.push(`<p class="meta">${escapeHtml(heading)}</p>`);
+  if (main) body.push(`<section>${diagnosisHtml(main, labels)}</section>`);
+
+  if (others.length > 0) {
+    const items = others.map(d => {
+      const repeats = d.count > 1 ? ` <span class="meta">(×${d.count})</span>` : "";
+      const where = d.file ? ` <span class="meta">${location(d)}</span>` : "";
+      const hint = d.hint ? `<div class="meta">${escapeHtml(d.hint)}</div>` : "";
+      return `<li>${escapeHtml(`${d.type}: ${d.message}`)}${repeats}${where}${hint}</li>`;
+    });
+    body.push(`<section><h2>${labels.others}</h2><ul>${items.join("")}</ul></section>`);
+  }
+  if (environment) body.push(environmentHtml(environment, labels));
+
+  const title = main ? `${main.type}: ${main.message}` : "FunErr";
+  return [
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    "<head>",
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>${STYLES}</style>`,
+    "</head>",
+    `<body class="${tone}"><main>`,
+    ...body,
+    "</main></body>",
+    "</html>",
+    "",
+  ].join("\n");
+}
+
+module.exports = { renderHtml };
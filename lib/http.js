@@ -0,0 +1,62 @@
+const { explain } = require("./explain");
+const { renderDiagnosis, renderRequestError } = require("./render");
+const { renderHtml } = require("./html");
+const { loadConfigSafely } = require("./config");
+const { outputOptions } = require("./terminal");
+
+// --------- 🌐 WEB FRAMEWORKS ----------
+
+// The status the framework would have sent: http-errors and friends put it
+// on the error, anything else is a 500
+function statusOf(err) {
+  const status = err && (err.status || err.statusCode);
+  return Number.isInteger(status) && status >= 400 && status <= 599 ? status : 500;
+}
+
+// Same default as Express: development unless NODE_ENV says otherwise
+function isDevelopment() {
+  return (process.env.NODE_ENV || "development") === "development";
+}
+
+// The dev error page, as HTML for browsers and JSON for everything else
+function errorPage(diagnosis, request, status) {
+  if (/text\/html/.test(request.accept || "")) {
+    const body = renderHtml([diagnosis], { heading: `${request.method} ${request.path} → ${status}` });
+    return { type: "text/html; charset=utf-8", body };
+  }
+
+  const { type, message, code, file, line, column, pattern, roast, hint } = diagnosis;
+  const error = { type, message, code, file, line, column, pattern, roast, hint, status };
+  return { type: "application/json; charset=utf-8", body: JSON.stringify({ error }, null, 2) };
+}
+
+// Shared by the Express, Koa and Fastify adapters. Options:
+// - `log`: "short" (default) for the request line plus roast and fix,
+//   "full" for the whole diagnosis, false for none
+// - `page`: answer with the dev error page; by default only in development
+// Anything else is a config override, like `tone`.
+// `handle(err, { method, path, accept })` diagnoses and logs the error and
+// returns `{ diagnosis, status, page }`, where `page` is `{ type, body }`
+// or null when the framework should respond as it normally would.
+function createRequestHandler(options = {}) {
+  const { log = "short", page, ...overrides } = options;
+  const config = loadConfigSafely(overrides);
+  const showPage = page === undefined ? isDevelopment() : Boolean(page);
+
+  function handle(err, request) {
+    const diagnosis = explain(err, config);
+    const status = statusOf(err);
+
+    if (log) {
+      const output = outputOptions(process.stderr, config);
+      const line = renderRequestError(diagnosis, { ...request, status }, output);
+      console.error(log === "full" ? `${line}\n${renderDiagnosis(diagnosis, output)}` : line);
+    }
+
+    return { diagnosis, status, page: showPage ? errorPage(diagnosis, request, status) : null };
+  }
+
+  return { handle, showPage };
+}
+
+module.exports = { createRequestHandler };
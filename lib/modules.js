@@ -0,0 +1,246 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const { toFsPath } = require("./paths");
+const { closestName } = require("./similarity");
+
+// --------- 📦 MISSING MODULES ----------
+
+// Extensions require() fills in on its own, and the ones people leave off
+// when importing TypeScript or JSX sources.
+const CJS_EXTENSIONS = [".js", ".json", ".node"];
+const SOURCE_EXTENSIONS = [".js", ".mjs", ".cjs", ".json", ".ts", ".mts", ".cts", ".tsx", ".jsx"];
+
+const LOCKFILES = [
+  ["pnpm-lock.yaml", "pnpm"],
+  ["yarn.lock", "yarn"],
+  ["bun.lockb", "bun"],
+  ["bun.lock", "bun"],
+  ["package-lock.json", "npm"],
+];
+
+const COMMANDS = {
+  npm: { installAll: "npm install", add: "npm install", addProd: "npm install --save-prod" },
+  yarn: { installAll: "yarn install", add: "yarn add", addProd: "yarn add" },
+  pnpm: { installAll: "pnpm install", add: "pnpm add", addProd: "pnpm add --save-prod" },
+  bun: { installAll: "bun install", add: "bun add", addProd: "bun add" },
+};
+
+function readDir(dir) {
+  try {
+    return fs.readdirSync(dir);
+  } catch (err) {
+    return null;
+  }
+}
+
+function readJson(filepath) {
+  try {
+    return JSON.parse(fs.readFileSync(filepath, "utf8"));
+  } catch (err) {
+    return null;
+  }
+}
+
+function isFile(filepath) {
+  try {
+    return fs.statSync(filepath).isFile();
+  } catch (err) {
+    return false;
+  }
+}
+
+function findUp(startDir, name) {
+  let dir = startDir;
+  while (true) {
+    const candidate = path.join(dir, name);
+    if (fs.existsSync(candidate)) return candidate;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+// The file whose require/import failed. Node names it in the message
+// ("imported from ...", "Require stack:"); the crash location is the fallback.
+function importerOf(info) {
+  const m = info.fullText.match(/imported from (\S+)/) || info.fullText.match(/Require stack:\s*\n\s*- (.+)/);
+  const importer = m ? toFsPath(m[1].trim()) : info.filePath;
+  // A dependency missing its own dependency is still this project's problem
+  if (!importer || importer.split(/[\\/]/).includes("node_modules")) return null;
+  return importer;
+}
+
+// "packageManager" in package.json, else whichever lockfile is closest
+function detectPackageManager(pkg, pkgDir) {
+  const declared = pkg && typeof pkg.packageManager === "string" && pkg.packageManager.split("@")[0];
+  if (COMMANDS[declared]) return declared;
+
+  let dir = pkgDir;
+  while (true) {
+    for (const [file, manager] of LOCKFILES) {
+      if (fs.existsSync(path.join(dir, file))) return manager;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return "npm";
+    dir = parent;
+  }
+}
+
+// "lodash/fp/map" -> ["lodash", "fp/map"], "@scope/pkg/x" -> ["@scope/pkg", "x"]
+function splitSpecifier(specifier) {
+  const parts = specifier.split("/");
+  const size = specifier.startsWith("@") ? 2 : 1;
+  return [parts.slice(0, size).join("/"), parts.slice(size).join("/")];
+}
+
+// The nearest package.json that describes a project. A stub holding only
+// {"type": "module"} marks a module scope, not a place dependencies live.
+function findManifest(fromDir) {
+  let dir = fromDir;
+  while (true) {
+    const pkgPath = findUp(dir, "package.json");
+    if (!pkgPath) return null;
+    const pkg = readJson(pkgPath);
+    if (pkg && Object.keys(pkg).some(key => key !== "type")) return { pkg, pkgPath };
+    const parent = path.dirname(path.dirname(pkgPath));
+    if (parent === path.dirname(pkgPath)) return null;
+    dir = parent;
+  }
+}
+
+// A bare package name: is it declared, installed, declared only for
+// development, or a misspelling of one that is?
+function checkPackage(specifier, fromDir) {
+  const [name, subpath] = splitSpecifier(specifier);
+  const manifest = findManifest(fromDir);
+  if (!manifest) return null;
+  const { pkg, pkgPath } = manifest;
+
+  const commands = COMMANDS[detectPackageManager(pkg, path.dirname(pkgPath))];
+  const deps = { ...pkg.optionalDependencies, ...pkg.peerDependencies, ...pkg.dependencies };
+  const devDeps = pkg.devDependencies || {};
+  const isInstalled = (dep) => Boolean(findUp(fromDir, path.join("node_modules", dep)));
+  const installed = isInstalled(name);
+
+  if (installed && subpath) {
+    return { reason: "missing_subpath", module: name, subpath };
+  }
+  if (name in deps && !installed) {
+    return { reason: "not_installed", module: name, installAll: commands.installAll };
+  }
+  if (name in devDeps && !installed) {
+    // Only an install that left devDependencies out (--omit=dev, --production)
+    // explains it; a project that was never installed just needs installing
+    const prodInstall = Boolean(findUp(path.dirname(pkgPath), "node_modules")) &&
+      !Object.keys(devDeps).some(dep => dep !== name && isInstalled(dep));
+    if (prodInstall) return { reason: "dev_only", module: name, moveCommand: `${commands.addProd} ${name}` };
+    return { reason: "not_installed", module: name, installAll: commands.installAll };
+  }
+
+  const known = Object.keys({ ...deps, ...devDeps });
+  const suggested = closestName(name, known.filter(k => k !== name));
+  if (suggested) {
+    return { reason: "misspelled_package", module: name, suggestedModule: suggested };
+  }
+
+  return { reason: "not_declared", module: name, addCommand: `${commands.add} ${name}` };
+}
+
+function stem(name) {
+  const ext = path.extname(name);
+  return SOURCE_EXTENSIONS.includes(ext) ? name.slice(0, -ext.length) : name;
+}
+
+// What's really in `dir` under the name `part`, and how it differs: by case,
+// by a missing extension (last segment only) or by a typo.
+function matchEntry(dir, part, isLast) {
+  const entries = readDir(dir);
+  if (!entries) return null;
+  if (entries.includes(part)) return { name: part, fix: null };
+
+  const lower = part.toLowerCase();
+  const caseMatch = entries.find(e => e.toLowerCase() === lower);
+  if (caseMatch) return { name: caseMatch, fix: "case" };
+
+  if (isLast) {
+    const withExt = entries.find(e => stem(e) === part && isFile(path.join(dir, e)));
+    if (withExt) return { name: withExt, fix: "extension" };
+    const withExtCase = entries.find(e => stem(e).toLowerCase() === lower && isFile(path.join(dir, e)));
+    if (withExtCase) return { name: withExtCase, fix: "case" };
+  }
+
+  const typo = closestName(isLast ? stem(part) : part, entries, { key: isLast ? stem : e => e });
+  return typo ? { name: typo, fix: "typo" } : null;
+}
+
+// Walks the missing path one segment at a time, swapping in the closest
+// real entry wherever one doesn't exist.
+function correctPath(target) {
+  const { root } = path.parse(target);
+  const parts = path.relative(root, target).split(path.sep).filter(Boolean);
+  const fixes = new Set();
+  let current = root;
+
+  for (let i = 0; i < parts.length; i++) {
+    const match = matchEntry(current, parts[i], i === parts.length - 1);
+    if (!match) return null;
+    if (match.fix) fixes.add(match.fix);
+    current = path.join(current, match.name);
+  }
+
+  if (fixes.size === 0 || !isFile(current)) return null;
+  return { path: current, fixes };
+}
+
+// Writes the corrected path the way the import was written: relative to the
+// importing file when it was relative, without the extension when require()
+// would add it anyway.
+function asSpecifier(corrected, specifier, fromDir, esm) {
+  let result = corrected;
+  if (specifier.startsWith(".")) {
+    result = path.relative(fromDir, corrected).split(path.sep).join("/");
+    if (!result.startsWith(".")) result = `./${result}`;
+  }
+  const ext = path.extname(corrected);
+  if (!esm && !path.extname(specifier) && CJS_EXTENSIONS.includes(ext)) {
+    result = result.slice(0, -ext.length);
+  }
+  return result;
+}
+
+function checkFile(reported, fromDir, esm) {
+  // ESM reports the resolved absolute path; show it the way it was imported
+  const specifier = esm && path.isAbsolute(reported) ? asSpecifier(reported, ".", fromDir, true) : reported;
+  const target = path.resolve(fromDir, toFsPath(specifier) || specifier);
+  let corrected = correctPath(target);
+
+  // require() tries the extensions itself, so try them before calling it a typo
+  if (!corrected && !esm && !path.extname(target)) {
+    for (const ext of CJS_EXTENSIONS) {
+      corrected = correctPath(target + ext);
+      if (corrected) break;
+    }
+  }
+  if (!corrected) return null;
+
+  const suggestion = asSpecifier(corrected.path, specifier, fromDir, esm);
+  if (corrected.fixes.has("typo")) return { reason: "typo", path: specifier, suggestion };
+  if (corrected.fixes.has("case")) return { reason: "case", path: specifier, actualCase: suggestion };
+  if (esm) return { reason: "extension", path: specifier, withExtension: suggestion };
+  return null;
+}
+
+// Looks at the project around a MODULE_NOT_FOUND and returns extra captures
+// for the hint: a `reason` plus whatever that reason's wording needs.
+function investigateMissingModule(info, captures, options = {}) {
+  const { cwd = process.cwd() } = options;
+  const importer = importerOf(info);
+  const fromDir = importer ? path.dirname(importer) : cwd;
+  const esm = info.code === "ERR_MODULE_NOT_FOUND" || /imported from /.test(info.fullText);
+
+  if (captures.module) return checkPackage(captures.specifier || captures.module, fromDir);
+  if (captures.path) return checkFile(captures.path, fromDir, esm);
+  return null;
+}
+
+module.exports = { investigateMissingModule };
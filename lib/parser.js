@@ -0,0 +1,366 @@
+const { toFsPath, displayPath } = require("./paths");
+const { WARNING_LINE, SOURCE_HEADER } = require("./events");
+const { parseAssertion, assertionFromError } = require("./assertion");
+
+// --------- 🕵️ ENHANCED ERROR PARSER ----------
+
+const DEFAULT_IGNORED_FRAMES = ["node:internal", "node_modules"];
+
+function isIgnoredFrame(line, ignoreFrames) {
+  return ignoreFrames.some(f => (f instanceof RegExp ? f.test(line) : line.includes(f)));
+}
+
+function parseNodeError(stderrText, options = {}) {
+  const nested = splitNestedErrors(stderrText);
+  const info = parseSingleError(nested.own, options);
+
+  if (nested.cause !== null) info.cause = parseNestedError(nested.cause, options);
+  if (nested.errors.length > 0) info.errors = nested.errors.map(text => parseNestedError(text, options));
+
+  return info;
+}
+
+function parseSingleError(stderrText, options) {
+  const { ignoreFrames = DEFAULT_IGNORED_FRAMES, cwd = process.cwd() } = options;
+  const lines = stderrText.split("\n");
+
+  // Built-in and custom classes alike: TypeError, AcmeError, TimeoutException.
+  // Only at the start of a line, so `onError: () => ...` in code isn't one.
+  const errorRegex =
+    /^\s*\[?(?:Uncaught )?((?:[A-Z]\w*)?(?:Error|Exception)|UnhandledPromiseRejectionWarning|DeprecationWarning)(?: \[(\w+)\])?:\s*(.*)/;
+
+  let type = "UnknownError";
+  let message = "Something broke and it's definitely your fault.";
+  let code = null;
+  let file = null;
+  let filePath = null;
+  let line = null;
+  let column = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const l = lines[i];
+    // A DeprecationWarning printed before the crash isn't the crash
+    if (WARNING_LINE.test(l)) continue;
+    // The code and caret under a "file.js:12" header are the user's source
+    if (SOURCE_HEADER.test(l)) {
+      i += /^\s*\^/.test(lines[i + 2] || "") ? 2 : 1;
+      continue;
+    }
+    const m = l.match(errorRegex);
+    if (m) {
+      type = m[1];
+      // "Error [ERR_X]: msg" is how errors with a code get printed
+      if (m[2]) code = m[2];
+      // "[AggregateError: msg] {" is how errors without a stack get printed
+      message = m[3].trim().replace(/\s*\{$/, "");
+      if (l.trim().startsWith("[")) message = message.replace(/\]$/, "");
+      break;
+    }
+  }
+
+  // V8 gives up on the whole process: out of memory, a failed CHECK
+  const fatal = type === "UnknownError" && stderrText.match(/^FATAL ERROR: (.*)$/m);
+  if (fatal) {
+    type = "FatalError";
+    message = fatal[1].trim();
+  }
+
+  // Nothing but warnings: report the first one
+  const warning = type === "UnknownError" && lines.map(l => l.match(WARNING_LINE)).find(Boolean);
+  if (warning) {
+    type = warning[2];
+    message = warning[3].trim();
+  }
+
+  if (stderrText.includes("MODULE_NOT_FOUND") || stderrText.includes("Cannot find module")) {
+    type = "ModuleNotFoundError";
+    code = "MODULE_NOT_FOUND";
+    const m = stderrText.match(/Cannot find (module|package) '([^']+)'/);
+    if (m) message = `Cannot find ${m[1]} '${m[2]}'`;
+  }
+
+  const codeMatch =
+    stderrText.match(/\bcode: ['"]?([A-Z_]+)['"]?/) ||
+    stderrText.match(/\b(E(?!RROR\b)[A-Z0-9_]+)\b/) ||
+    message.match(/\b(E(?!RROR\b)[A-Z0-9_]+)\b/);
+  if (codeMatch) code = codeMatch[1];
+
+  const stackLines = lines.filter(l => 
+    l.trim().startsWith("at ") && 
+    !isIgnoredFrame(l, ignoreFrames)
+  );
+
+  if (stackLines.length > 0) {
+    const locMatch = stackLines[0].match(/\(([^)]+):(\d+):(\d+)\)/) || 
+                     stackLines[0].match(/at (\S.*?):(\d+):(\d+)(?:\s*[{,])?\s*$/);
+    if (locMatch) {
+      filePath = locMatch[1];
+      line = Number(locMatch[2]);
+      column = Number(locMatch[3]);
+    }
+  }
+
+  if (!filePath) {
+    const fallbackMatch = stderrText.match(/([^\s(]+\.[cm]?[jt]sx?):(\d+):(\d+)/);
+    if (fallbackMatch) {
+      filePath = fallbackMatch[1];
+      line = Number(fallbackMatch[2]);
+      column = Number(fallbackMatch[3]);
+    }
+  }
+
+  if (!filePath) {
+    const header = parseSourceHeader(lines, ignoreFrames);
+    if (header) {
+      filePath = header.filePath;
+      line = header.line;
+      column = header.column;
+    }
+  }
+
+  if (filePath) {
+    filePath = toFsPath(filePath);
+    file = displayPath(filePath, cwd);
+  }
+
+  const frames = parseStackFrames(stderrText, { ignoreFrames });
+
+  const info = { type, message, file, filePath, line, column, code, frames, fullText: stderrText };
+
+  // node:assert prints actual/expected/operator, and usually its own diff
+  const assertion = type === "AssertionError" || code === "ERR_ASSERTION" ? parseAssertion(stderrText) : null;
+  if (assertion) info.assertion = assertion;
+
+  return info;
+}
+
+// --------- 🪆 NESTED ERRORS ----------
+
+function indentOf(l) {
+  return l.length - l.trimStart().length;
+}
+
+function dedent(l, n) {
+  return l.slice(Math.min(n, indentOf(l)));
+}
+
+// Node prints an error's cause and an AggregateError's members inside the
+// outer error's braces:
+//
+//   Error: outer                        AggregateError: outer
+//       at ... {                            at ... {
+//     [cause]: Error: inner               [errors]: [
+//         at ...                              Error: first
+//   }                                             at ...,
+//                                             Error: second
+//                                         ]
+//
+// Splits them out so each one can be parsed on its own. Deeper nesting stays
+// inside each block and is split again when that block is parsed.
+function splitNestedErrors(text) {
+  const lines = text.split("\n");
+  const own = [];
+  const errors = [];
+  let cause = null;
+  let i = 0;
+
+  while (i < lines.length) {
+    const causeMatch = lines[i].match(/^(\s*)\[cause\]: (.*)$/);
+    const errorsMatch = lines[i].match(/^(\s*)\[errors\]: \[\s*$/);
+
+    if (causeMatch) {
+      const indent = causeMatch[1].length;
+      const block = [causeMatch[2]];
+      i++;
+      while (i < lines.length && indentOf(lines[i]) > indent) {
+        block.push(dedent(lines[i], indent + 2));
+        i++;
+      }
+      cause = block.join("\n");
+    } else if (errorsMatch) {
+      const indent = errorsMatch[1].length;
+      let current = null;
+      i++;
+      while (i < lines.length && indentOf(lines[i]) > indent) {
+        const l = lines[i];
+        const startsMember = indentOf(l) === indent + 2 && !/^[}\]]/.test(l.trim());
+        if (startsMember) {
+          if (current) errors.push(current.join("\n"));
+          current = [l.trim()];
+        } else if (current) {
+          current.push(dedent(l, indent + 2));
+        }
+        i++;
+      }
+      if (current) errors.push(current.join("\n"));
+    } else {
+      own.push(lines[i]);
+      i++;
+    }
+  }
+
+  return { own: own.join("\n"), cause, errors };
+}
+
+// Members of [errors] needn't be Errors: `'oops'` or `42` keep their text.
+function parseNestedError(text, options) {
+  const info = parseNodeError(text, options);
+  if (info.type === "UnknownError") {
+    info.message = text.split("\n")[0].trim().replace(/,$/, "");
+  }
+  return info;
+}
+
+// Syntax errors have no useful stack frames, but Node prints the location as a
+// "file.js:12" header above the offending line, with a caret under the spot.
+function parseSourceHeader(lines, ignoreFrames) {
+  for (let i = 0; i < lines.length; i++) {
+    const l = lines[i];
+    if (l.trim().startsWith("at ")) return null;
+
+    const m = l.match(/^(\S.*?):(\d+)$/);
+    if (!m || isIgnoredFrame(l, ignoreFrames)) continue;
+
+    const caretLine = lines[i + 2] || "";
+    const caret = /^\s*\^/.test(caretLine) ? caretLine.indexOf("^") + 1 : null;
+    return { filePath: m[1], line: Number(m[2]), column: caret };
+  }
+  return null;
+}
+
+// --------- 🧵 STACK FRAMES ----------
+
+// Where a frame's code lives: "user" (your files), "node_modules",
+// "node:internal" (Node's own JS) or "native" (no source location at all).
+function frameKind(file) {
+  if (!file) return "native";
+  if (file.startsWith("node:") || file.startsWith("internal/") || /^[\w.-]+\.js$/.test(file)) {
+    return "node:internal";
+  }
+  if (/[\\/]node_modules[\\/]/.test(file)) return "node_modules";
+  return "user";
+}
+
+// Parses every "at ..." line into { fn, file, line, column, kind, async,
+// ignored }, where `ignored` means the line matches `ignoreFrames`.
+// Handles "at fn (file:1:2)", "at file:1:2", "at async fn (...)",
+// "at new Foo (...)" and location-less frames like "at Array.map (<anonymous>)".
+function parseStackFrames(text, { ignoreFrames = DEFAULT_IGNORED_FRAMES } = {}) {
+  const frames = [];
+
+  for (const l of text.split("\n")) {
+    const trimmed = l.trim();
+    if (!trimmed.startsWith("at ")) continue;
+
+    // Node appends " {" or "," when it prints props or list items after a stack
+    let body = trimmed.slice(3).replace(/\s*[{,]$/, "");
+    const isAsync = body.startsWith("async ");
+    if (isAsync) body = body.slice(6);
+
+    let fn = null;
+    let location = body;
+    const paren = body.match(/^(.*?) \((.*)\)$/);
+    if (paren) {
+      fn = paren[1];
+      location = paren[2];
+    }
+
+    const m = location.match(/^(.+?):(\d+):(\d+)$/);
+    if (m) {
+      const file = toFsPath(m[1]);
+      const ignored = isIgnoredFrame(l, ignoreFrames);
+      frames.push({ fn, file, line: Number(m[2]), column: Number(m[3]), kind: frameKind(file), async: isAsync, ignored });
+    } else {
+      // "<anonymous>", "native", "index 0": nothing to point at
+      frames.push({ fn: fn || body, file: null, line: null, column: null, kind: "native", async: isAsync, ignored: true });
+    }
+  }
+
+  return frames;
+}
+
+// --------- 📊 CONTEXT EXTRACTION ----------
+
+function extractErrorContext(stderrText, info, options = {}) {
+  const { ignoreFrames = DEFAULT_IGNORED_FRAMES } = options;
+  const lines = stderrText.split("\n");
+
+  // The line right under Node's "file.js:12" header is the offending code,
+  // unless the header points into Node's internals or a dependency
+  const isHeader = (l) => /^\S.*:\d+$/.test(l) && !l.trim().startsWith("at ");
+  const headerIndex = lines.findIndex(l => isHeader(l) && !isIgnoredFrame(l, ignoreFrames));
+  if (headerIndex !== -1 && lines[headerIndex + 1] && lines[headerIndex + 1].trim()) {
+    return lines[headerIndex + 1].trim().substring(0, 80);
+  }
+
+  // Skip the ignored headers, the internal code printed under them, its
+  // caret, the brackets left over from printed props and [errors], and the
+  // "Node.js v20.11.0" trailer
+  const internal = (i) => [lines[i], lines[i - 1] || ""].some(l => isHeader(l) && isIgnoredFrame(l, ignoreFrames));
+  const noise = (l) => /^\s*(?:\^+|[[\]{}(),]+)\s*$/.test(l) || /^Node\.js v\d/.test(l);
+  const codeSnippet = lines.find((l, i) =>
+    l.trim() && !l.includes("at ") && !l.includes("Error:") && !noise(l) && !internal(i)
+  );
+  
+  return codeSnippet ? codeSnippet.trim().substring(0, 80) : null;
+}
+
+// --------- 🧬 ERROR OBJECT PARSER ----------
+
+function parseErrorObject(err, options = {}, depth = 0) {
+  if (!err || typeof err !== "object") {
+    const info = parseNodeError(String(err), options);
+    if (info.type === "UnknownError") info.message = String(err);
+    return info;
+  }
+
+  const header = `${err.name || "Error"}: ${err.message || ""}`;
+  const info = parseNodeError(typeof err.stack === "string" ? err.stack : header, options);
+
+  if (info.type !== "ModuleNotFoundError") info.type = err.name || info.type;
+  if (err.message) info.message = err.message;
+  info.code = err.code != null ? String(err.code) : null;
+
+  const assertion = assertionFromError(err);
+  if (assertion) {
+    info.assertion = assertion;
+    // Generated messages carry their own diff after the first line; ours is better
+    if (err.generatedMessage || err.matcherResult) info.message = info.message.split("\n")[0];
+  }
+
+  // Causes can point back at each other, so don't follow them forever
+  if (err.cause !== undefined && depth < 10) {
+    info.cause = parseErrorObject(err.cause, options, depth + 1);
+  }
+
+  if (Array.isArray(err.errors) && depth < 10) {
+    info.errors = err.errors.map(e => parseErrorObject(e, options, depth + 1));
+  }
+
+  return info;
+}
+
+// --------- ⚠️ PROCESS WARNINGS ----------
+
+// A warning Node printed to stderr, in the same shape as a parsed error. The
+// location comes from the --trace-warnings stack when there is one.
+function parseWarning(text, options = {}) {
+  const { ignoreFrames = DEFAULT_IGNORED_FRAMES, cwd = process.cwd() } = options;
+  const m = text.split("\n").map(l => l.match(WARNING_LINE)).find(Boolean);
+  const frames = parseStackFrames(text, { ignoreFrames });
+  const site = frames.find(f => f.kind === "user" && !f.ignored);
+
+  return {
+    type: m ? m[2] : "Warning",
+    message: m ? m[3].trim() : text.split("\n")[0].trim(),
+    file: site ? displayPath(site.file, cwd) : null,
+    filePath: site ? site.file : null,
+    line: site ? site.line : null,
+    column: site ? site.column : null,
+    code: m && m[1] ? m[1] : null,
+    frames,
+    fullText: text,
+  };
+}
+
+module.exports = { parseNodeError, parseErrorObject, parseWarning, parseStackFrames, extractErrorContext };
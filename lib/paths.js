@@ -0,0 +1,75 @@
+const path = require("node:path");
+const { fileURLToPath, pathToFileURL } = require("node:url");
+
+// --------- 🗺️ PATHS & LINKS ----------
+
+const EDITOR_PRESETS = {
+  vscode: "vscode://file/{file}:{line}:{column}",
+  cursor: "cursor://file/{file}:{line}:{column}",
+  idea: "idea://open?file={file}&line={line}&column={column}",
+  webstorm: "webstorm://open?file={file}&line={line}&column={column}",
+  sublime: "subl://open?url=file://{file}&line={line}&column={column}",
+};
+
+function isWindowsPath(p) {
+  return /^[A-Za-z]:[\\/]/.test(p) || p.startsWith("\\\\");
+}
+
+// Stack paths can be file:// URLs (ESM), POSIX or Windows paths. Returns a
+// plain filesystem path, or the input unchanged for things like "[eval]".
+function toFsPath(filePath) {
+  if (!filePath) return null;
+  if (filePath.startsWith("file://")) {
+    try {
+      return fileURLToPath(filePath);
+    } catch (err) {
+      return filePath;
+    }
+  }
+  return filePath;
+}
+
+// Relative to `cwd` when the file lives under it, absolute otherwise, so
+// "src/users/index.js" instead of a bare "index.js".
+function displayPath(filePath, cwd = process.cwd()) {
+  const fsPath = toFsPath(filePath);
+  if (!fsPath) return null;
+
+  const p = isWindowsPath(fsPath) ? path.win32 : path.posix;
+  if (!p.isAbsolute(fsPath)) return fsPath;
+
+  const relative = p.relative(cwd, fsPath);
+  if (!relative || relative.startsWith("..") || p.isAbsolute(relative)) return fsPath;
+  return relative;
+}
+
+// Fills an --editor template (or preset name) with the crash location.
+function editorUrl(editor, filePath, line, column) {
+  const fsPath = toFsPath(filePath);
+  if (!editor || !fsPath || !line) return null;
+
+  const template = EDITOR_PRESETS[editor] || editor;
+  const slashed = fsPath.replace(/\\/g, "/");
+  // In a query string the path is one parameter value, so & # ? = must be
+  // escaped too; as the URL's own path only # and ? would cut it short
+  const inPath = encodeURI(slashed).replace(/[?#]/g, encodeURIComponent);
+  const inQuery = encodeURIComponent(slashed);
+
+  return template
+    .replace(/\{file\}/g, (match, offset) => (template.lastIndexOf("?", offset) === -1 ? inPath : inQuery))
+    .replace(/\{line\}/g, line)
+    .replace(/\{column\}/g, column || 1);
+}
+
+function fileUrl(filePath) {
+  const fsPath = toFsPath(filePath);
+  if (!fsPath || !path.isAbsolute(fsPath)) return null;
+  return pathToFileURL(fsPath).href;
+}
+
+// OSC 8 terminal hyperlink: shows `text`, opens `url` on click.
+function hyperlink(text, url) {
+  return `\x1b]8;;${url}\x1b\\${text}\x1b]8;;\x1b\\`;
+}
+
+module.exports = { toFsPath, displayPath, editorUrl, fileUrl, hyperlink, EDITOR_PRESETS };
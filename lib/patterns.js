@@ -0,0 +1,351 @@
+// --------- 🎯 BUILT-IN PATTERNS ----------
+
+// Shared message regexes. Named groups (`port`, `path`, `module`, ...) are
+// handed to the roast entry's `details`, so the hint can say which port or
+// file it's about.
+
+// "connect ECONNREFUSED 127.0.0.1:5432", "listen EADDRINUSE: address already in use :::3000"
+const HOST_PORT = /(?<host>\S*):(?<port>\d+)\s*$/;
+// "ENOENT: no such file or directory, open 'config.json'"
+const FS_PATH = /, \w+ '(?<path>[^']+)'/;
+
+// Patterns are plain data in the same shape as custom ones: every matcher an
+// entry sets (`type`, `code`, `message`, `stack`, `match`) has to match, and
+// the entry with the most specific evidence wins (see `scorePattern`). A key
+// can have several entries when an error shows up in more than one form.
+// `priority` nudges an entry up or down when evidence alone doesn't settle it.
+const BUILTIN_PATTERNS = [
+  // === ASYNC/PROMISE ERRORS ===
+  { key: "unhandled_promise", code: "ERR_UNHANDLED_REJECTION" },
+  { key: "unhandled_promise", stack: /UnhandledPromiseRejection/ },
+  { key: "unhandled_promise", message: /unhandled promise rejection/i },
+  { key: "await_outside_async", message: /await is only valid in async/i },
+  { key: "forgot_await", message: /async function.*did you mean/i },
+  { key: "missing_catch", message: /not handled with \.catch\(\)|without a catch block/i },
+  { key: "double_resolve", message: /promise.*resolved/i },
+  { key: "then_not_function", message: /\bthen is not a function/i, type: "TypeError" },
+
+  // === UNDEFINED/NULL ERRORS ===
+  { key: "undefined_property", message: /cannot read propert(?:ies of undefined|y '[^']*' of undefined)/i },
+  { key: "undefined_property", message: /cannot read properties of undefined \(reading '(?<property>[^']+)'\)/i },
+  { key: "undefined_property", message: /cannot read property '(?<property>[^']+)' of undefined/i },
+  { key: "null_property", message: /cannot read propert(?:ies of null|y '[^']*' of null)/i },
+  { key: "null_property", message: /cannot read properties of null \(reading '(?<property>[^']+)'\)/i },
+  { key: "null_property", message: /cannot read property '(?<property>[^']+)' of null/i },
+  { key: "undefined_function", message: /undefined is not a function/i },
+  { key: "not_defined", message: /^(?:(?<variable>[\w$]+) )?is not defined/i, type: "ReferenceError" },
+  { key: "tdz_error", message: /cannot access (?:'(?<variable>[^']+)' )?.*before initialization/i },
+
+  // === TYPE ERRORS ===
+  { key: "not_a_function", message: /is not a function/i },
+  { key: "not_a_function", message: /^(?<variable>\S+) is not a function/i },
+  { key: "not_iterable", message: /is not iterable/i },
+  { key: "not_constructor", message: /is not a constructor/i },
+  { key: "not_constructor", message: /^(?<variable>\S+) is not a constructor/i },
+  { key: "cannot_set_property", message: /cannot set propert(?:y|ies)/i },
+  { key: "cannot_set_property", message: /cannot set properties of \w+ \(setting '(?<property>[^']+)'\)/i },
+  { key: "cannot_set_property", message: /cannot set property '(?<property>[^']+)'/i },
+  { key: "const_reassignment", message: /assignment to constant/i },
+  { key: "type_conversion", message: /cannot convert/i },
+  { key: "reduce_empty", message: /reduce of empty array/i },
+  { key: "not_extensible", message: /object is not extensible/i },
+  { key: "cannot_delete", message: /cannot delete property/i },
+  { key: "circular_json", message: /circular structure/i },
+
+  // === NETWORK/CONNECTION ERRORS ===
+  { key: "port_in_use", code: "EADDRINUSE" },
+  { key: "port_in_use", code: "EADDRINUSE", message: HOST_PORT },
+  { key: "file_missing", code: "ENOENT" },
+  { key: "file_missing", code: "ENOENT", message: FS_PATH },
+  { key: "file_missing", code: "ENOENT", message: /spawn (?<command>\S+) ENOENT/ },
+  { key: "conn_refused", code: "ECONNREFUSED" },
+  { key: "conn_refused", code: "ECONNREFUSED", message: HOST_PORT },
+  { key: "timeout", code: "ETIMEDOUT" },
+  { key: "timeout", code: "ETIMEDOUT", message: HOST_PORT },
+  { key: "conn_reset", code: "ECONNRESET" },
+  { key: "dns_error", code: "ENOTFOUND" },
+  { key: "dns_error", code: "ENOTFOUND", message: /ENOTFOUND (?<host>\S+)/ },
+  { key: "permission_denied", code: ["EACCES", "EPERM"] },
+  { key: "permission_denied", code: ["EACCES", "EPERM"], message: FS_PATH },
+  { key: "permission_denied", code: ["EACCES", "EPERM"], message: HOST_PORT },
+  { key: "too_many_files", code: "EMFILE" },
+  { key: "file_exists", code: "EEXIST" },
+  { key: "file_exists", code: "EEXIST", message: FS_PATH },
+  { key: "is_directory", code: "EISDIR" },
+  { key: "not_directory", code: "ENOTDIR" },
+  { key: "not_directory", code: "ENOTDIR", message: FS_PATH },
+  { key: "dir_not_empty", code: "ENOTEMPTY" },
+  { key: "dir_not_empty", code: "ENOTEMPTY", message: FS_PATH },
+  { key: "broken_pipe", code: "EPIPE" },
+  { key: "network_unreachable", code: "ENETUNREACH" },
+  { key: "host_unreachable", code: "EHOSTUNREACH" },
+  { key: "bad_port", code: "ERR_SOCKET_BAD_PORT" },
+  { key: "bad_port", code: "ERR_SOCKET_BAD_PORT", message: /received .*?\((?<port>-?[\d.]+)\)/i },
+
+  // === EXPRESS/HTTP ERRORS ===
+  { key: "headers_after_sent", code: "ERR_HTTP_HEADERS_SENT" },
+  { key: "headers_after_sent", message: /cannot set headers after they are sent/i },
+  { key: "request_aborted", message: /request aborted/i },
+  { key: "write_after_end", code: "ERR_STREAM_WRITE_AFTER_END" },
+  { key: "write_after_end", message: /write after end/i },
+  { key: "socket_hangup", message: /socket hang up/i, code: "ECONNRESET" },
+  { key: "socket_hangup", message: /socket hang up/i },
+  { key: "bad_request", message: /bad request/i },
+  { key: "payload_too_large", message: /payload too large/i },
+
+  // === SYNTAX ERRORS ===
+  { key: "unexpected_token", message: /unexpected token/i },
+  { key: "missing_paren", message: /missing \)(?: after argument list)?/i },
+  { key: "missing_brace", message: /missing \}/i },
+  { key: "unexpected_eof", message: /unexpected end of/i },
+  { key: "invalid_token", message: /invalid or unexpected token/i },
+  { key: "illegal_return", message: /illegal return statement/i },
+  { key: "spread_error", message: /rest parameter|spread syntax/i },
+  { key: "reserved_word", message: /unexpected (?:strict mode )?reserved word/i },
+  { key: "duplicate_param", message: /duplicate parameter/i },
+  { key: "strict_mode", message: /strict mode/i },
+  { key: "bad_destructuring", message: /invalid destructuring/i },
+
+  // === JSON ERRORS ===
+  { key: "json_parse", message: /in JSON at position|is not valid JSON/i },
+  { key: "json_parse", message: /unexpected token/i, stack: /JSON\.parse/ },
+  { key: "json_incomplete", message: /unexpected end of JSON/i },
+
+  // === MODULE ERRORS ===
+  { key: "module_not_found", code: ["MODULE_NOT_FOUND", "ERR_MODULE_NOT_FOUND"] },
+  { key: "module_not_found", message: /cannot find (?:module|package)/i },
+  { key: "module_not_found", message: /cannot find (?:module|package) '(?![.\/\\]|[a-z]:)(?<specifier>(?<module>(?:@[\w.-]+\/)?[\w.-]+)[^']*)'/i },
+  { key: "module_not_found", message: /cannot find module '(?<path>(?:\.{1,2}|[a-z]:)?[\/\\][^']*)'/i },
+  { key: "require_esm", code: "ERR_REQUIRE_ESM" },
+  { key: "require_esm", message: /require\(\) of ES Module (?<path>\S+)/i },
+  { key: "import_outside_module", message: /import statement outside a module/i },
+  // Scores the same as not_defined's match, and is the more useful reading
+  { key: "export_error", message: /\bexports? is not defined/i, type: "ReferenceError", priority: 1 },
+  { key: "must_use_import", message: /must use import to load/i },
+  { key: "named_export_missing", message: /named export .* not found/i },
+  { key: "named_export_missing", message: /named export '(?<property>[^']+)' not found\. the requested module '(?<module>[^']+)'/i },
+  { key: "default_export_error", message: /default export/i },
+
+  // === RECURSION/MEMORY ERRORS ===
+  { key: "stack_overflow", message: /maximum call stack size exceeded/i },
+  { key: "memory_error", message: /heap out of memory|out of memory|allocation failed/i },
+  { key: "fatal_error", message: /fatal error/i },
+
+  // === REGEX ERRORS ===
+  { key: "invalid_regex", message: /invalid regular expression/i },
+  { key: "regex_unterminated", message: /invalid regular expression.*unterminated character class/i },
+  { key: "regex_invalid_group", message: /invalid regular expression.*invalid group/i },
+  { key: "regex_nothing_to_repeat", message: /invalid regular expression.*nothing to repeat/i },
+
+  // === CIRCULAR/DEPENDENCY ERRORS ===
+  { key: "circular_dependency", message: /circular/i, priority: -1 },
+  { key: "circular_dependency", stack: /circular dependency|circular import/i },
+  { key: "cyclic_reference", message: /cyclic/i },
+
+  // === DATABASE/QUERY ERRORS ===
+  { key: "duplicate_key", message: /duplicate key|unique constraint/i },
+  { key: "mongo_connection", code: "ECONNREFUSED", stack: /mongo/i },
+  { key: "mongo_connection", code: "ECONNREFUSED", stack: /mongo/i, message: HOST_PORT },
+  { key: "postgres_connection", code: "ECONNREFUSED", stack: /postgres|\bpg\b|:5432\b/i },
+  { key: "postgres_connection", code: "ECONNREFUSED", stack: /postgres|\bpg\b|:5432\b/i, message: HOST_PORT },
+  { key: "table_not_exists", message: /relation .* does not exist/i },
+  { key: "column_not_exists", message: /column .* does not exist/i },
+  { key: "sql_syntax", message: /syntax error/i, stack: /sql/i },
+
+  // === ARRAY/OBJECT ERRORS ===
+  { key: "invalid_array_length", message: /invalid array length/i },
+  { key: "negative_array_length", message: /negative array length/i },
+  { key: "frozen_object", message: /cannot create property|read only property/i },
+  { key: "sealed_object", message: /sealed object/i },
+
+  // === ENCODING/BUFFER ERRORS ===
+  { key: "invalid_encoding", code: "ERR_UNKNOWN_ENCODING" },
+  { key: "invalid_encoding", message: /invalid encoding|unknown encoding/i },
+  { key: "buffer_too_large", message: /buffer.*too large|cannot create a buffer larger/i },
+  { key: "invalid_buffer", message: /invalid buffer size/i },
+
+  // === CRYPTO/SECURITY ERRORS ===
+  { key: "unsupported_digest", message: /digest.*not supported|invalid digest/i },
+  { key: "key_derivation_failed", message: /key derivation failed/i },
+  { key: "decryption_failed", message: /decrypt.*failed|bad decrypt/i },
+
+  // === WORKER/THREAD ERRORS ===
+  { key: "worker_terminated", message: /worker.*terminated/i },
+  { key: "worker_communication", message: /worker.*communication/i },
+  { key: "atomics_not_allowed", message: /atomics.*not allowed/i },
+
+  // === STREAM ERRORS ===
+  { key: "stream_premature_close", code: "ERR_STREAM_PREMATURE_CLOSE" },
+  { key: "stream_premature_close", message: /premature close/i },
+  { key: "stream_not_writable", message: /stream is not writable/i },
+  { key: "stream_not_readable", message: /stream is not readable/i },
+
+  // === ASSERTION ERRORS ===
+  { key: "assertion_failed", code: "ERR_ASSERTION" },
+  { key: "assertion_failed", type: "AssertionError" },
+  // Jest's expect() throws plain Errors
+  { key: "assertion_failed", message: /^expect\(/ },
+
+  // === PROCESS WARNINGS ===
+  // Warnings quote all sorts of things; what they are matters more
+  { key: "deprecation_warning", type: "DeprecationWarning", priority: 5 },
+  { key: "experimental_warning", type: "ExperimentalWarning", priority: 5 },
+  { key: "max_listeners", type: "MaxListenersExceededWarning", priority: 5 },
+  { key: "process_warning", match: info => /Warning$/.test(info.type), priority: 4 },
+
+  // === GENERIC FALLBACKS ===
+  { key: "syntax_generic", type: "SyntaxError" },
+  { key: "type_generic", type: "TypeError" },
+  { key: "ref_generic", type: "ReferenceError" },
+  { key: "range_generic", type: "RangeError" },
+  { key: "uri_error", type: "URIError" },
+  { key: "eval_error", type: "EvalError" },
+];
+
+// --------- ⚖️ SCORING ----------
+
+// How much each kind of evidence counts. A code is Node's own label for the
+// error, a message match says more than the error class, and a longer
+// message match says more than a shorter one, so "Invalid or unexpected
+// token" beats "unexpected token".
+const WEIGHTS = { code: 4, message: 3, stack: 2, match: 1, type: 1 };
+const CUSTOM_PRIORITY = 10;
+const MAX_RUNNERS_UP = 3;
+
+// --------- 🧩 CUSTOM & PLUGIN PATTERNS ----------
+
+function toRegExp(value) {
+  return value instanceof RegExp ? value : new RegExp(value, "i");
+}
+
+function oneOf(value, expected) {
+  return Array.isArray(expected) ? expected.includes(value) : value === expected;
+}
+
+// Every field the pattern sets has to match: `type` and `code` exactly (or one
+// of an array), `message` and `stack` as case-insensitive regexes (strings) or
+// RegExps, and `match` (JS only) as a predicate that gets the parsed info.
+// Returns the evidence score and whatever the regexes' named groups captured,
+// or null if the pattern doesn't match.
+function scorePattern(pattern, info, defaultPriority = 0) {
+  let score = 0;
+  const captures = {};
+
+  function capture(m) {
+    for (const [name, value] of Object.entries(m.groups || {})) {
+      if (value !== undefined) captures[name] = value;
+    }
+  }
+
+  if (pattern.type !== undefined) {
+    if (!oneOf(info.type, pattern.type)) return null;
+    score += WEIGHTS.type;
+  }
+  if (pattern.code !== undefined) {
+    if (!oneOf(info.code, pattern.code)) return null;
+    score += WEIGHTS.code;
+  }
+  if (pattern.message !== undefined) {
+    const m = info.message.match(toRegExp(pattern.message));
+    if (!m) return null;
+    score += WEIGHTS.message + Math.min(m[0].length, 40) / 20;
+    capture(m);
+  }
+  if (pattern.stack !== undefined) {
+    const m = info.fullText.match(toRegExp(pattern.stack));
+    if (!m) return null;
+    score += WEIGHTS.stack;
+    capture(m);
+  }
+  if (pattern.match !== undefined) {
+    if (!pattern.match(info)) return null;
+    score += WEIGHTS.match;
+  }
+
+  return { score: score + (pattern.priority !== undefined ? pattern.priority : defaultPriority), captures };
+}
+
+// 0..1 from the evidence alone, so a priority bump doesn't read as certainty:
+// a type-only fallback lands around 0.4, a message match around 0.85, code and
+// message together above 0.95.
+function confidenceFor(score, pattern, defaultPriority) {
+  const evidence = score - (pattern.priority !== undefined ? pattern.priority : defaultPriority);
+  return Math.round((1 - Math.pow(0.6, evidence)) * 100) / 100;
+}
+
+// Returns why a custom pattern can't be used, or null if it's fine.
+function checkCustomPattern(pattern) {
+  if (!pattern || typeof pattern.key !== "string") {
+    return 'every pattern needs a "key"';
+  }
+  const matchers = ["type", "code", "message", "stack", "match"];
+  if (!matchers.some(m => pattern[m] !== undefined)) {
+    return `pattern "${pattern.key}" needs one of ${matchers.map(m => `"${m}"`).join(", ")} to match on`;
+  }
+  if (pattern.match !== undefined && typeof pattern.match !== "function") {
+    return `pattern "${pattern.key}" has a "match" that isn't a function`;
+  }
+  if (pattern.priority !== undefined && typeof pattern.priority !== "number") {
+    return `pattern "${pattern.key}" has a "priority" that isn't a number`;
+  }
+  // Compiled here so a bad regex is a config problem, not a crash after the run
+  for (const field of ["message", "stack"]) {
+    const value = pattern[field];
+    if (value === undefined || value instanceof RegExp) continue;
+    if (typeof value !== "string") {
+      return `pattern "${pattern.key}" has a "${field}" that isn't a string or RegExp`;
+    }
+    try {
+      toRegExp(value);
+    } catch (err) {
+      return `pattern "${pattern.key}" has an invalid "${field}" regex (${err.message})`;
+    }
+  }
+  return null;
+}
+
+// Config patterns first, so a project can override what its plugins say.
+function collectCustomPatterns(options = {}) {
+  const { customPatterns = [], plugins = [] } = options;
+  return customPatterns.concat(...plugins.map(p => p.patterns || []));
+}
+
+// Scores every pattern against the error and returns the best one with its
+// confidence and named captures, plus the next best distinct keys. Custom and plugin patterns
+// start at a priority of 10, so they beat built-ins unless they set their
+// own; ties go to whichever comes first (config, then plugins, then
+// built-ins). Disabled patterns are skipped, so the next best match takes
+// over, and "generic" is what's left when nothing matches at all.
+function matchPatterns(info, options = {}) {
+  const { disabledPatterns = [] } = options;
+  const candidates = [
+    ...collectCustomPatterns(options).map(pattern => ({ pattern, defaultPriority: CUSTOM_PRIORITY })),
+    ...BUILTIN_PATTERNS.map(pattern => ({ pattern, defaultPriority: 0 })),
+  ];
+
+  const best = new Map();
+  for (const { pattern, defaultPriority } of candidates) {
+    if (disabledPatterns.includes(pattern.key)) continue;
+    const result = scorePattern(pattern, info, defaultPriority);
+    if (!result) continue;
+    const { score, captures } = result;
+    const previous = best.get(pattern.key);
+    if (!previous || score > previous.score) {
+      best.set(pattern.key, { key: pattern.key, score, captures, confidence: confidenceFor(score, pattern, defaultPriority) });
+    }
+  }
+
+  // Stable sort: equal scores keep candidate order
+  const ranked = [...best.values()].sort((a, b) => b.score - a.score);
+  const runnersUp = ranked.slice(1, 1 + MAX_RUNNERS_UP).map(({ key, confidence }) => ({ pattern: key, confidence }));
+
+  if (ranked.length === 0) return { pattern: "generic", confidence: 0, captures: {}, runnersUp };
+  const { key, confidence, captures } = ranked[0];
+  return { pattern: key, confidence, captures, runnersUp };
+}
+
+function detectPattern(info, options = {}) {
+  return matchPatterns(info, options).pattern;
+}
+
+module.exports = { detectPattern, matchPatterns, collectCustomPatterns, checkCustomPattern };
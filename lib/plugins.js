@@ -0,0 +1,57 @@
+const path = require("node:path");
+const { checkCustomPattern } = require("./patterns");
+
+// --------- 🔌 PLUGINS ----------
+
+// A plugin is a module exporting { name, patterns: [...] }, or a function that
+// takes the plugin's options and returns one. Each pattern is a custom pattern
+// (key, matchers, emoji/roast/hint/extraBurn).
+//
+// Config entries are a module name or path ("./funerr-plugin.js"), a
+// [name, options] pair, or (from JS) the plugin object itself.
+
+class PluginError extends Error {
+  constructor(message, spec) {
+    super(`plugin "${spec}": ${message}`);
+    this.name = "PluginError";
+    this.spec = spec;
+  }
+}
+
+function requirePlugin(spec, baseDir) {
+  let resolved;
+  try {
+    resolved = require.resolve(spec, { paths: [baseDir] });
+  } catch (err) {
+    throw new PluginError(`not found from ${baseDir}`, spec);
+  }
+  return require(resolved);
+}
+
+function loadPlugin(entry, baseDir) {
+  const [spec, pluginOptions] = Array.isArray(entry) ? entry : [entry, {}];
+  const label = typeof spec === "string" ? spec : (spec && spec.name) || "<inline>";
+
+  let plugin = typeof spec === "string" ? requirePlugin(spec, baseDir) : spec;
+  if (plugin && plugin.__esModule && plugin.default) plugin = plugin.default;
+  if (typeof plugin === "function") plugin = plugin(pluginOptions);
+
+  if (!plugin || !Array.isArray(plugin.patterns)) {
+    throw new PluginError('must export { patterns: [...] } or a function returning it', label);
+  }
+
+  for (const pattern of plugin.patterns) {
+    const problem = checkCustomPattern(pattern);
+    if (problem) throw new PluginError(problem, label);
+  }
+
+  return { name: plugin.name || label, patterns: plugin.patterns };
+}
+
+// Loads plugin entries from config. Module names and relative paths resolve
+// from `baseDir`, normally the directory holding the config file.
+function loadPlugins(entries, baseDir = process.cwd()) {
+  return entries.map(entry => loadPlugin(entry, path.resolve(baseDir)));
+}
+
+module.exports = { loadPlugins, PluginError };
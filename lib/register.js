@@ -0,0 +1,62 @@
+const { explain } = require("./explain");
+const { renderDiagnosis, renderJson } = require("./render");
+const { loadConfigSafely } = require("./config");
+const { writeReport } = require("./report");
+const { palette } = require("./colors");
+const { outputOptions } = require("./terminal");
+
+// --------- 🪝 IN-PROCESS HANDLERS ----------
+
+let installed = null;
+
+// Another listener means the app handles these events itself, so stay out of its way.
+function appHandlesIt(event) {
+  return process.listenerCount(event) > 1;
+}
+
+function roastAndExit(err, config) {
+  const diagnosis = explain(err, config);
+
+  const output = outputOptions(process.stderr, config);
+
+  if (config.format === "text") {
+    console.error(renderDiagnosis(diagnosis, output));
+  } else if (config.format === "html") {
+    const { RST, RED, DIM } = palette(output.color);
+    const run = { dir: config.reportDir, cmd: process.argv0, cmdArgs: process.argv.slice(1), exitCode: 1, signal: null };
+    console.error(`${RED}${diagnosis.type}: ${diagnosis.message}${RST}`);
+    console.error(`${DIM}Full report: ${writeReport([diagnosis], run)}${RST}`);
+  } else {
+    console.error(renderJson([diagnosis], { exitCode: 1, ndjson: config.format === "ndjson" }));
+  }
+  process.exit(1);
+}
+
+function installHandlers(options = {}) {
+  if (installed) return installed;
+
+  const config = loadConfigSafely(options);
+
+  const onException = (err) => {
+    if (appHandlesIt("uncaughtException")) return;
+    roastAndExit(err, config);
+  };
+
+  const onRejection = (reason) => {
+    if (appHandlesIt("unhandledRejection")) return;
+    roastAndExit(reason, config);
+  };
+
+  process.on("uncaughtException", onException);
+  process.on("unhandledRejection", onRejection);
+
+  installed = function uninstall() {
+    process.removeListener("uncaughtException", onException);
+    process.removeListener("unhandledRejection", onRejection);
+    installed = null;
+  };
+
+  return installed;
+}
+
+module.exports = { installHandlers };
@@ -0,0 +1,494 @@
+const { RST, RED, GRN, YEL, CYN, MAG, BOLD, DIM, BG_RED, BG_YEL, stripAnsi } = require("./colors");
+const { displayPath, fileUrl, hyperlink } = require("./paths");
+const { diffWords } = require("./assertion");
+const { displayWidth, wrapText } = require("./terminal");
+
+const MAX_USER_FRAMES = 8;
+const DIFF_CONTEXT = 3;
+const MAX_DIFF_LINES = 40;
+
+// Full widths of the type box, the dividers and the footer box; narrower
+// terminals get them cut down to fit
+const BOX_WIDTH = 66;
+const RULE_WIDTH = 65;
+const FOOTER_WIDTH = 62;
+const MIN_WIDTH = 20;
+
+// --------- 🖨️ TERMINAL RENDERER ----------
+
+// Wording and colors for each tone. The diagnosis is the same in all three;
+// only how it's said changes.
+const TONE_STYLES = {
+  roast: {
+    banner: `${BG_RED} ${BOLD} 🔥 EMOTIONAL DAMAGE 🔥 ${RST}`,
+    accent: RED,
+    location: "📍 Crime Scene: ",
+    message: "📝 What Broke:   ",
+    tree: "🔗 The Chain of Blame:",
+    diff: "🆚 Expectations vs Reality:",
+    summary: "🙈 Also On Your Rap Sheet:",
+    fixed: "✅ FIXED! It runs now. Took you long enough.",
+    evidence: "📄 The Evidence:",
+    stack: "🕵️  How You Got Here:",
+    code: "⚙️  Error Code:  ",
+    codeNote: "(Google this if you're brave)",
+    explanation: "THE ROAST:",
+    fix: "💡 HOW TO FIX (if you're capable):",
+    footer: [
+      "This error was 100% preventable. You know that, right?",
+      "Want the boring Node error? Remove 'funerr' like a coward",
+    ],
+    emoji: true,
+  },
+  friendly: {
+    banner: `${BG_YEL} ${BOLD} 🩹 LET'S FIX THIS ${RST}`,
+    accent: YEL,
+    location: "📍 Location:    ",
+    message: "📝 Message:     ",
+    tree: "🔗 What Led Here:",
+    diff: "🆚 Expected vs Actual:",
+    summary: "👀 Also Worth a Look:",
+    fixed: "✅ Fixed! It runs cleanly now. Nice work.",
+    evidence: "📄 Nearby:",
+    stack: "🧵 Call Stack:",
+    code: "⚙️  Error Code:  ",
+    codeNote: "(search for it to learn more)",
+    explanation: "WHAT HAPPENED:",
+    fix: "💡 HOW TO FIX:",
+    footer: [
+      "Errors happen to everyone. You've got this!",
+      "Want the original Node error? Run without 'funerr'.",
+    ],
+    emoji: true,
+  },
+  plain: {
+    banner: `${BOLD}ERROR${RST}`,
+    accent: "",
+    location: "Location:    ",
+    message: "Message:     ",
+    tree: "Caused by:",
+    diff: "Diff:",
+    summary: "Also reported:",
+    fixed: "Fixed: the script no longer crashes.",
+    evidence: "Context:",
+    stack: "Call stack:",
+    code: "Error code:  ",
+    codeNote: "",
+    explanation: "Explanation:",
+    fix: "How to fix:",
+    footer: null,
+    emoji: false,
+  },
+};
+
+// Line drawing, and an ASCII-only version for terminals and log viewers
+// that mangle anything else
+const BOX_STYLES = {
+  unicode: {
+    box: { top: "╔═╗", side: "║", bottom: "╚═╝" },
+    rule: "─",
+    footer: { top: "┌─┐", side: "│", bottom: "└─┘" },
+    branch: "├─ ",
+    lastBranch: "└─ ",
+    pipe: "│  ",
+    arrow: "→",
+    more: "⋯",
+  },
+  ascii: {
+    box: { top: "+=+", side: "|", bottom: "+=+" },
+    rule: "-",
+    footer: { top: "+-+", side: "|", bottom: "+-+" },
+    branch: "|- ",
+    lastBranch: "`- ",
+    pipe: "|  ",
+    arrow: "->",
+    more: "...",
+  },
+};
+
+// An emoji with the variation selector and spacing that follow it
+const EMOJI = /\p{Extended_Pictographic}\ufe0f?\s*/gu;
+
+// The tone's wording, with the emoji left out of ASCII-only output
+function styleOf(tone, ascii) {
+  const style = TONE_STYLES[tone] || TONE_STYLES.roast;
+  if (!ascii) return style;
+  const labels = Object.entries(style).map(([key, value]) => [key, typeof value === "string" ? value.replace(EMOJI, "") : value]);
+  return { ...Object.fromEntries(labels), emoji: false };
+}
+
+// Color codes come off at the end rather than being left out along the way,
+// which also clears any the error message brought with it
+function finish(text, color) {
+  return color ? text : stripAnsi(text);
+}
+
+// The top or bottom edge of a box: corner, line, corner
+function edge(chars, width) {
+  return `${chars[0]}${chars[1].repeat(width - 2)}${chars[2]}`;
+}
+
+// `text` padded to `width` columns, counting emoji as two
+function padColumns(text, width) {
+  return text + " ".repeat(Math.max(0, width - displayWidth(text)));
+}
+
+// Roast and hint text indented under their heading, wrapped to the terminal
+function indented(text, indent, width, color = "") {
+  return wrapText(text, width && width - indent.length).map(line => `${indent}${color}${line}${color ? RST : ""}`);
+}
+
+// "file:line:column", clickable when the terminal supports it
+function locationText({ file, filePath, line, column, editorUrl }, hyperlinks) {
+  const loc = column ? `${file}:${line}:${column}` : `${file}:${line}`;
+  const target = editorUrl || fileUrl(filePath);
+  return hyperlinks && target ? hyperlink(loc, target) : loc;
+}
+
+// Causes and AggregateError members, each with where it came from and its own
+// hint. The innermost cause is marked: that's usually the one to fix.
+function renderErrorTree(diagnosis, style, box, lead, prefix = "   ") {
+  const children = (diagnosis.errors || []).map((node, i) => ({ label: `[${i}] `, node }));
+  if (diagnosis.cause) children.push({ label: "", node: diagnosis.cause });
+
+  const out = [];
+  children.forEach(({ label, node }, i) => {
+    const last = i === children.length - 1;
+    const indent = prefix + (last ? "   " : box.pipe);
+    const where = node.file
+      ? ` ${DIM}${node.file}:${node.line}${node.column ? `:${node.column}` : ""}${RST}`
+      : "";
+    const text = `${node.type}: ${node.message}`;
+    const entry = node.rootCause
+      ? `${RED}${BOLD}${style.emoji ? "🎯 " : ""}${text}${RST}${style.emoji ? "" : " (root cause)"}`
+      : `${YEL}${text}${RST}`;
+
+    out.push(`${DIM}${prefix}${last ? box.lastBranch : box.branch}${RST}${label}${entry}${where}`);
+    if (node !== lead && node.pattern !== "generic" && node.hint) {
+      out.push(`${DIM}${indent}${RST}   ${style.emoji ? "💡 " : "Fix: "}${DIM}${node.hint}${RST}`);
+    }
+    out.push(...renderErrorTree(node, style, box, lead, indent));
+  });
+  return out;
+}
+
+// Numbered source lines with the crash line marked and a caret under the
+// column, like Babel and Vite print them.
+function renderCodeFrame(frame) {
+  const width = String(frame.lines[frame.lines.length - 1].number).length;
+  const out = [];
+
+  for (const { number, text } of frame.lines) {
+    const num = String(number).padStart(width);
+
+    if (number !== frame.line) {
+      out.push(`${DIM}    ${num} | ${text}${RST}`);
+      continue;
+    }
+
+    out.push(`  ${RED}${BOLD}>${RST} ${num} ${DIM}|${RST} ${text}`);
+    if (frame.column) {
+      // Keep tabs so the caret lines up with what the terminal shows
+      const pad = text.slice(0, frame.column - 1).replace(/[^\t]/g, " ");
+      out.push(`    ${" ".repeat(width)} ${DIM}|${RST} ${pad}${RED}${BOLD}^${RST}`);
+    }
+  }
+
+  return out;
+}
+
+// Where a folded frame comes from: a package, Node, native code, or files
+// the config's `ignoreFrames` hides
+function frameOrigin(frame) {
+  if (frame.kind === "user") return "ignored files";
+  if (frame.kind === "node_modules") {
+    const m = frame.file.match(/.*[\\/]node_modules[\\/]((?:@[^\\/]+[\\/])?[^\\/]+)/);
+    return m ? m[1].replace("\\", "/") : "node_modules";
+  }
+  if (frame.kind === "node:internal") return "node internals";
+  return "native code";
+}
+
+// Code of yours that `ignoreFrames` doesn't hide
+function isOwnFrame(frame) {
+  return frame.kind === "user" && !frame.ignored;
+}
+
+function describeFolded(frames, box) {
+  const origins = [...new Set(frames.map(frameOrigin))];
+  const noun = frames.length === 1 ? "frame" : "frames";
+  return `${box.more} ${frames.length} ${noun} in ${origins.join(", ")}`;
+}
+
+// Your frames in call order, innermost first. Runs of library, Node,
+// native and ignored frames fold into one dim line so your code stands out.
+// With `hyperlinks`, each location becomes an OSC 8 link to the file.
+function renderStack(frames, hyperlinks, box) {
+  const out = [];
+  let folded = [];
+  let shown = 0;
+
+  const flush = () => {
+    if (folded.length > 0) out.push(`     ${DIM}${describeFolded(folded, box)}${RST}`);
+    folded = [];
+  };
+
+  frames.forEach((frame, i) => {
+    if (!isOwnFrame(frame)) {
+      folded.push(frame);
+      return;
+    }
+    if (shown === MAX_USER_FRAMES) {
+      flush();
+      const rest = frames.length - i;
+      out.push(`     ${DIM}${box.more} ${rest} more ${rest === 1 ? "frame" : "frames"}${RST}`);
+      shown++;
+      return;
+    }
+    if (shown > MAX_USER_FRAMES) return;
+
+    flush();
+    const name = `${frame.async ? "async " : ""}${frame.fn || "<anonymous>"}`;
+    let loc = `${displayPath(frame.file)}:${frame.line}:${frame.column}`;
+    const target = fileUrl(frame.file);
+    if (hyperlinks && target) loc = hyperlink(loc, target);
+    out.push(`   ${shown === 0 ? `${RED}${box.arrow}${RST}` : " ".repeat(box.arrow.length)} ${BOLD}${name}${RST} ${DIM}${loc}${RST}`);
+    shown++;
+  });
+  flush();
+
+  return out;
+}
+
+// Options: `hyperlinks` and `color` on or off, the terminal's `width` in
+// columns (null for no wrapping) and `ascii` for ASCII-only boxes and labels
+function renderDiagnosis(diagnosis, { hyperlinks = false, color = true, width = null, ascii = false } = {}) {
+  const { type, message, file, code, cause, errors, context, codeFrame, frames = [] } = diagnosis;
+  const style = styleOf(diagnosis.tone, ascii);
+  const box = ascii ? BOX_STYLES.ascii : BOX_STYLES.unicode;
+  const fit = (full) => Math.max(MIN_WIDTH, Math.min(full, width || full));
+
+  // Wrapper errors rarely say much; explain the root cause when it's specific
+  let root = diagnosis;
+  while (root.cause) root = root.cause;
+  const lead = root.pattern !== "generic" ? root : diagnosis;
+  const { emoji, roast, hint, extraBurn } = lead;
+  const accent = style.accent;
+  const out = [];
+
+  // Header with maximum emotional damage (or not, depending on tone)
+  out.push(`\n${style.banner}`);
+  const boxWidth = fit(BOX_WIDTH);
+  const side = `${accent}${BOLD}${box.box.side}${RST}`;
+  out.push(`${accent}${BOLD}${edge(box.box.top, boxWidth)}${RST}`);
+  for (const line of wrapText(type.toUpperCase(), boxWidth - 5)) {
+    out.push(`${side}  ${padColumns(line, boxWidth - 5)} ${side}`);
+  }
+  out.push(`${accent}${BOLD}${edge(box.box.bottom, boxWidth)}${RST}`);
+
+  // Location
+  if (file) {
+    out.push(`\n${MAG}${style.location}${RST}${BOLD}${locationText(diagnosis, hyperlinks)}${RST}`);
+  }
+
+  // Error message
+  out.push(`${MAG}${style.message}${RST}${YEL}"${message}"${RST}`);
+
+  // What was underneath: { cause } chains and AggregateError members
+  if (cause || (errors && errors.length > 0)) {
+    out.push(`${MAG}${style.tree}${RST}`);
+    out.push(...renderErrorTree(diagnosis, style, box, lead));
+  }
+
+  // What the assertion got against what it expected
+  const diff = diagnosis.assertion && diagnosis.assertion.diff;
+  if (diff && diff.some(row => row.kind !== " ")) {
+    out.push(`${MAG}${style.diff}${RST} ${DIM}(${RST}${GRN}+ actual${RST}${DIM}, ${RST}${RED}- expected${RST}${DIM})${RST}`);
+    out.push(...renderAssertionDiff(diff));
+  }
+
+  // The crash site in its surrounding code, or the evidence line as a fallback
+  if (codeFrame) {
+    out.push(`${MAG}${style.evidence}${RST}`);
+    out.push(...renderCodeFrame(codeFrame));
+  } else if (context && context.length > 0) {
+    out.push(`${DIM}${MAG}${style.evidence}${RST}${DIM} ${context}...${RST}`);
+  }
+
+  // Code if system error
+  if (code) {
+    const note = style.codeNote ? ` ${DIM}${style.codeNote}${RST}` : "";
+    out.push(`${MAG}${style.code}${RST}${BOLD}${code}${RST}${note}`);
+  }
+
+  // The call chain, when there's more of your code in it than the crash site
+  if (frames.length > 1 && frames.some(isOwnFrame)) {
+    out.push(`${MAG}${style.stack}${RST}`);
+    out.push(...renderStack(frames, hyperlinks, box));
+  }
+
+  // Main Roast (CAPS for extra damage)
+  if (roast) {
+    out.push(`\n${accent}${box.rule.repeat(fit(RULE_WIDTH))}${RST}`);
+    const icon = style.emoji ? `${emoji}  ` : "";
+    out.push(`${icon}${accent}${BOLD}${style.explanation}${RST}`);
+    out.push(...indented(roast, "   ", width, accent));
+
+    // Extra burn if available
+    if (extraBurn) {
+      out.push(...indented(extraBurn, "   ", width, DIM));
+    }
+  }
+
+  // Divider
+  out.push(`\n${CYN}${box.rule.repeat(fit(RULE_WIDTH))}${RST}`);
+
+  // Hint (actually helpful)
+  out.push(`${CYN}${BOLD}${style.fix}${RST}`);
+  out.push(...indented(hint, "   ", width));
+
+  // Footer
+  if (style.footer) {
+    const footerWidth = fit(FOOTER_WIDTH);
+    const footerSide = `${DIM}${box.footer.side}${RST}`;
+    out.push(`\n${DIM}${edge(box.footer.top, footerWidth)}${RST}`);
+    for (const text of style.footer.flatMap(t => wrapText(t, footerWidth - 4))) {
+      out.push(`${footerSide} ${padColumns(text, footerWidth - 4)} ${footerSide}`);
+    }
+    out.push(`${DIM}${edge(box.footer.bottom, footerWidth)}${RST}`);
+  }
+  out.push("");
+
+  return finish(out.join("\n"), color);
+}
+
+// --------- 🆚 ASSERTION DIFFS ----------
+
+function renderSegments(segments, color) {
+  return segments.map(seg => (seg.changed ? `${color}${seg.text}${RST}` : `${DIM}${seg.text}${RST}`)).join("");
+}
+
+// Unchanged lines dimmed and folded away from the changes. Where lines were
+// edited rather than added or dropped, the changed words are picked out.
+function renderAssertionDiff(diff) {
+  const rows = [];
+  for (let i = 0; i < diff.length;) {
+    if (diff[i].kind !== "+") {
+      rows.push(diff[i++]);
+      continue;
+    }
+    const added = [];
+    const removed = [];
+    while (i < diff.length && diff[i].kind === "+") added.push(diff[i++]);
+    while (i < diff.length && diff[i].kind === "-") removed.push(diff[i++]);
+
+    if (added.length === removed.length) {
+      const pairs = added.map((a, n) => diffWords(a.text, removed[n].text));
+      added.forEach((a, n) => rows.push({ ...a, segments: pairs[n].actual }));
+      removed.forEach((r, n) => rows.push({ ...r, segments: pairs[n].expected }));
+    } else {
+      rows.push(...added, ...removed);
+    }
+  }
+
+  const nearChange = rows.map((_, i) =>
+    rows.slice(Math.max(0, i - DIFF_CONTEXT), i + DIFF_CONTEXT + 1).some(r => r.kind !== " ")
+  );
+
+  const out = [];
+  let folded = false;
+  for (let i = 0; i < rows.length; i++) {
+    if (out.length >= MAX_DIFF_LINES) {
+      out.push(`   ${DIM}... ${rows.length - i} more lines${RST}`);
+      break;
+    }
+    if (!nearChange[i]) {
+      if (!folded) out.push(`   ${DIM}...${RST}`);
+      folded = true;
+      continue;
+    }
+    folded = false;
+
+    const { kind, text, segments } = rows[i];
+    if (kind === " ") {
+      out.push(`   ${DIM}  ${text}${RST}`);
+      continue;
+    }
+    const color = kind === "+" ? GRN : RED;
+    out.push(`   ${color}${kind}${RST} ${segments ? renderSegments(segments, color) : `${color}${text}${RST}`}`);
+  }
+  return out;
+}
+
+// --------- 📋 WARNINGS & LOGGED ERRORS ----------
+
+// Everything on stderr besides the crash, one entry each with its hint, so
+// it's on record without drowning out the main diagnosis.
+function renderSummary(diagnoses, { hyperlinks = false, color = true, width = null, ascii = false } = {}) {
+  if (diagnoses.length === 0) return "";
+  const style = styleOf(diagnoses[0].tone, ascii);
+  const out = [`\n${YEL}${BOLD}${style.summary}${RST}`];
+
+  for (const d of diagnoses) {
+    const isWarning = d.severity === "warning";
+    const icon = style.emoji ? `${d.emoji} ` : isWarning ? "[warning] " : "[error] ";
+    const code = d.code ? ` ${DIM}[${d.code}]${RST}` : "";
+    const repeats = d.count > 1 ? ` ${DIM}(${ascii ? "x" : "×"}${d.count})${RST}` : "";
+    const where = d.file ? ` ${DIM}${locationText(d, hyperlinks)}${RST}` : "";
+
+    out.push(`   ${icon}${isWarning ? YEL : RED}${d.type}${RST}${code}: ${d.message}${repeats}${where}`);
+    if (d.hint) out.push(...indented(d.hint, "      ", width, DIM));
+  }
+
+  return finish(out.join("\n"), color);
+}
+
+// --------- 🧪 TEST FAILURES & REQUEST ERRORS ----------
+
+// The roast and the fix in two lines, for tucking under someone else's
+// report: a failing test in the runner's output, a failed request in a log
+function renderHintLines(diagnosis, { indent = "  ", color = true, ascii = false } = {}) {
+  const style = styleOf(diagnosis.tone, ascii);
+  const out = [];
+  if (diagnosis.roast && diagnosis.tone !== "plain") {
+    out.push(`${indent}${DIM}${style.emoji ? `${diagnosis.emoji} ` : ""}${diagnosis.roast}${RST}`);
+  }
+  if (diagnosis.hint) {
+    out.push(`${indent}${CYN}${style.emoji ? "💡 " : "Hint: "}${diagnosis.hint}${RST}`);
+  }
+  return finish(out.join("\n"), color);
+}
+
+// An error a web framework caught: the request, the error and where it was
+// thrown on one line, then the roast and fix for its root cause
+function renderRequestError(diagnosis, { method, path, status }, { hyperlinks = false, color = true, ascii = false } = {}) {
+  const style = styleOf(diagnosis.tone, ascii);
+  let root = diagnosis;
+  while (root.cause) root = root.cause;
+  const lead = root.pattern !== "generic" ? root : diagnosis;
+
+  const icon = style.emoji ? "💥 " : "";
+  const where = diagnosis.file ? ` ${DIM}${locationText(diagnosis, hyperlinks)}${RST}` : "";
+  const head = `${RED}${BOLD}${icon}${method} ${path}${RST} ${DIM}${(ascii ? BOX_STYLES.ascii : BOX_STYLES.unicode).arrow} ${status}${RST} ${RED}${diagnosis.type}${RST}: ${diagnosis.message}${where}`;
+  const hint = renderHintLines(lead, { indent: "   ", ascii });
+  return finish(hint ? `${head}\n${hint}` : head, color);
+}
+
+// Watch mode's all-clear, once a run survives after a crash
+function renderFixed(tone, { color = true, ascii = false } = {}) {
+  const style = styleOf(tone, ascii);
+  return finish(`\n${GRN}${BOLD}${style.fixed}${RST}`, color);
+}
+
+// --------- 🤖 JSON RENDERER ----------
+
+// `json` is one document for the whole run; `ndjson` is one line per error,
+// each carrying the exit code, for tools that read output as it streams.
+function renderJson(diagnoses, { exitCode = null, signal = null, ndjson = false } = {}) {
+  if (ndjson) {
+    return diagnoses.map(d => JSON.stringify({ ...d, exitCode })).join("\n");
+  }
+  return JSON.stringify({ exitCode, signal, errors: diagnoses }, null, 2);
+}
+
+module.exports = { renderDiagnosis, renderSummary, renderHintLines, renderRequestError, renderFixed, renderJson };
@@ -0,0 +1,49 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { spawn } = require("node:child_process");
+const { renderHtml } = require("./html");
+const { version } = require("../package.json");
+
+// --------- 📄 HTML REPORTS ----------
+
+// What a bug ticket needs to know about where the run happened
+function environmentOf({ cmd, cmdArgs, exitCode, signal }) {
+  return {
+    command: [cmd, ...cmdArgs].join(" "),
+    exitCode,
+    signal,
+    node: process.version,
+    platform: `${os.type()} ${os.release()} (${process.platform} ${process.arch})`,
+    cwd: process.cwd(),
+    time: new Date().toISOString(),
+    funerr: version,
+  };
+}
+
+// Writes the run's diagnoses as a standalone page into `dir` (the system
+// temp directory by default) and returns its path. The timestamp keeps
+// every run of a watch session.
+function writeReport(diagnoses, { dir = null, ...run }) {
+  const environment = environmentOf(run);
+  const reportDir = path.resolve(dir || os.tmpdir());
+  fs.mkdirSync(reportDir, { recursive: true });
+
+  const file = path.join(reportDir, `funerr-${environment.time.replace(/[:.]/g, "-")}.html`);
+  fs.writeFileSync(file, renderHtml(diagnoses, { environment }));
+  return file;
+}
+
+// Opens a file in the default browser. Fire and forget: the report's path
+// is printed either way, so a machine without a browser loses nothing.
+function openInBrowser(file) {
+  const [command, args] = process.platform === "darwin" ? ["open", [file]]
+    : process.platform === "win32" ? ["cmd", ["/c", "start", "", file]]
+    : ["xdg-open", [file]];
+
+  const opener = spawn(command, args, { stdio: "ignore", detached: true });
+  opener.on("error", () => {});
+  opener.unref();
+}
+
+module.exports = { writeReport, openInBrowser };
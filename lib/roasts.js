@@ -0,0 +1,1271 @@
+const { matchPatterns, collectCustomPatterns } = require("./patterns");
+
+// --------- 🔥 MASSIVELY EXPANDED ROAST REGISTRY ----------
+
+// `match` is a matchPatterns() result, when the caller already has one
+function getRoastAndHint(info, options = {}, match = matchPatterns(info, options)) {
+  const { pattern, captures } = match;
+  
+  const roastDB = {
+    // ASYNC/PROMISE
+    unhandled_promise: {
+      emoji: "💀",
+      roast: "Unhandled promise rejection detected. Your async code just ghosted you harder than your last Tinder match.",
+      hint: "Always .catch() your promises or use try/catch with async/await. Promises aren't self-cleaning.",
+      extraBurn: "Pro tip: Unhandled rejections crash your app in production. This is a feature, not a bug.",
+      calmHint: "Add .catch() to your promises, or use try/catch with async/await.",
+      friendly: "A promise was rejected and nothing was there to catch it. Easy to miss, and easy to fix.",
+      plain: "A promise was rejected without a rejection handler."
+    },
+    await_outside_async: {
+      emoji: "⏳",
+      roast: "You used 'await' outside an async function. Time doesn't work like that, Einstein.",
+      hint: "Wrap your code in: async function() { ... } or make the parent function async.",
+      extraBurn: "await requires async context. This is JavaScript, not wish.com magic.",
+      friendly: "'await' was used outside an async function. It only works inside async functions (or at the top level of an ES module).",
+      plain: "'await' was used outside an async function or module top level."
+    },
+    forgot_await: {
+      emoji: "😴",
+      roast: "You called an async function but forgot 'await'. It returned a Promise, not the value. Classic amateur move.",
+      hint: "Add 'await' before async function calls: const result = await myFunc();",
+      extraBurn: "Getting a [Promise object] instead of data? Yeah, that's what forgetting await looks like.",
+      friendly: "An async function was called without 'await', so you got a Promise back instead of its result.",
+      plain: "An async function was called without 'await'; its return value is a Promise."
+    },
+    missing_catch: {
+      emoji: "🎣",
+      roast: "Promise rejected and you had no safety net. Hope you enjoy uncaught exceptions at 3am.",
+      hint: "Add .catch(err => ...) or wrap in try/catch. Promises aren't self-managing adults.",
+      extraBurn: "Error handling is optional. Until production. Then it's mandatory with a side of regret.",
+      calmHint: "Add .catch(err => ...) or wrap the await in try/catch.",
+      friendly: "A promise rejected and there was no handler for it. Adding one will keep this from crashing the app.",
+      plain: "A promise rejection was not handled."
+    },
+    double_resolve: {
+      emoji: "🔄",
+      roast: "You tried to resolve a Promise twice. Promises are commitment-phobes, they only commit once.",
+      hint: "Each Promise can only be resolved/rejected once. Check your logic flow.",
+      extraBurn: "Once a Promise makes up its mind, that's it. Unlike your last relationship.",
+      friendly: "A Promise was settled more than once. Only the first resolve/reject counts, so something in the flow runs twice.",
+      plain: "A Promise was resolved or rejected more than once."
+    },
+    then_not_function: {
+      emoji: "⛓️",
+      roast: ".then() is not a function because what you're calling it on is NOT a Promise. Detective work needed.",
+      hint: "Make sure the function you're calling actually returns a Promise.",
+      extraBurn: "Chaining .then() on non-Promises. That's not how promises work. Or chains. Or anything.",
+      friendly: ".then() was called on something that isn't a Promise, so it has no .then method.",
+      plain: ".then() was called on a value that is not a Promise."
+    },
+
+    // UNDEFINED/NULL ERRORS
+    undefined_property: {
+      emoji: "💀",
+      roast: "EMOTIONAL DAMAGE! You tried to .property on undefined. It has literally nothing for you.",
+      hint: "Check it first: if (obj) or use optional chaining obj?.property",
+      extraBurn: "Undefined said 'I literally have nothing' and you STILL tried to take from it. Bold.",
+      friendly: "A property was read from a value that turned out to be undefined. Let's find where it should have been set.",
+      plain: "A property was read from an undefined value.",
+      details: [
+        {
+          hint: "`{object}` is undefined, so it has no .{property}. Did you mean `{suggestion}`?",
+          calmHint: "`{object}` is undefined. Did you mean `{suggestion}`?",
+          friendly: "`{object}` turned out to be undefined when `.{property}` was read from it. Could `{suggestion}` be what you meant?",
+          plain: "'{object}' is undefined, so property '{property}' could not be read. Possible typo of '{suggestion}'."
+        },
+        {
+          hint: "`{object}` is undefined, so reading .{property} from it failed. Find where it should be set, or use {object}?.{property}",
+          friendly: "`{object}` turned out to be undefined when `.{property}` was read from it. Let's find where it should have been set.",
+          plain: "'{object}' is undefined, so property '{property}' could not be read."
+        },
+        {
+          roast: "EMOTIONAL DAMAGE! You tried to read .{property} from undefined. It has literally nothing for you.",
+          hint: "Whatever you read .{property} from is undefined. Check it first: if (obj) or use optional chaining obj?.{property}",
+          friendly: "`.{property}` was read from a value that turned out to be undefined. Let's find where it should have been set.",
+          plain: "Property '{property}' was read from an undefined value."
+        }
+      ]
+    },
+    null_property: {
+      emoji: "🕳️",
+      roast: "Reading properties of NULL. That's not minimalism, that's just broken.",
+      hint: "Check for null: if (obj !== null) before accessing properties, or use obj?.property",
+      extraBurn: "Null is the programming equivalent of 'read at 3:47pm'. It has NOTHING for you.",
+      friendly: "A property was read from a value that is null. Something expected here came back empty.",
+      plain: "A property was read from a null value.",
+      details: [
+        {
+          hint: "Whatever you read .{property} from is null. Check for null first, or use obj?.{property}",
+          friendly: "`.{property}` was read from a value that is null. Something expected here came back empty.",
+          plain: "Property '{property}' was read from a null value."
+        }
+      ]
+    },
+    undefined_function: {
+      emoji: "🧨",
+      roast: "undefined is not a function. You can't call what doesn't exist. This isn't Hogwarts.",
+      hint: "Log it first: console.log(typeof yourThing). Check your imports/exports.",
+      extraBurn: "Calling undefined like it's a function. Manifesting through sheer delusion is not a paradigm.",
+      friendly: "Something was called as a function, but its value is undefined. Often an import or export name is off.",
+      plain: "An undefined value was called as a function."
+    },
+    not_defined: {
+      emoji: "❓",
+      roast: "Variable is not defined. You're referencing variables from parallel universes where your code works.",
+      hint: "Declare variables with let/const/var before using them. Check for typos.",
+      extraBurn: "Using variables that don't exist. This is coding, not creative writing.",
+      friendly: "A variable was used that doesn't exist in this scope. It might be a typo or a missing declaration/import.",
+      plain: "A variable was referenced that is not declared in scope.",
+      details: [
+        {
+          hint: "`{variable}` doesn't exist in ES modules. Use {esmReplacement}.",
+          friendly: "`{variable}` is a CommonJS thing, and this file is an ES module. Use {esmReplacement}.",
+          plain: "'{variable}' is not available in ES modules. Use {esmReplacement}."
+        },
+        {
+          hint: "`{variable}` is only built into Node {sinceNode} and later, and this is Node {nodeVersion}. Upgrade Node, or import it from a package.",
+          friendly: "`{variable}` only became a global in Node {sinceNode}, and you're on Node {nodeVersion}. Upgrading Node, or importing it from a package, will fix it.",
+          plain: "'{variable}' is a global since Node {sinceNode}; this is Node {nodeVersion}."
+        },
+        {
+          roast: "`{variable}` only exists in {onlyIn}. Node has no window to throw your code out of, but I'd consider it.",
+          hint: "`{variable}` only exists in {onlyIn}. Code that also runs in Node has to check first: typeof {variable} !== 'undefined'",
+          calmHint: "`{variable}` only exists in {onlyIn}. Check typeof {variable} !== 'undefined' in code that also runs in Node.",
+          friendly: "`{variable}` only exists in {onlyIn}, and this code is running in Node.",
+          plain: "'{variable}' is only defined in {onlyIn}."
+        },
+        {
+          hint: "`{variable}` doesn't exist here. Did you mean `{suggestion}`?",
+          friendly: "`{variable}` doesn't exist in this scope. Could `{suggestion}` be what you meant?",
+          plain: "'{variable}' is not declared in scope. Possible typo of '{suggestion}'."
+        },
+        {
+          hint: "`{variable}` doesn't exist here. Declare it with let/const before using it, import it, or fix the spelling.",
+          friendly: "`{variable}` was used but doesn't exist in this scope. It might be a typo or a missing declaration/import.",
+          plain: "'{variable}' is not declared in scope."
+        }
+      ]
+    },
+    tdz_error: {
+      emoji: "⏰",
+      roast: "Temporal Dead Zone violation! You accessed a let/const before initialization. Time is a construct, but this error is real.",
+      hint: "Move the variable declaration BEFORE you use it, or use var if you hate yourself.",
+      extraBurn: "TDZ errors mean you're living in the future. Unfortunately, your code isn't.",
+      calmHint: "Move the variable declaration above the first place it's used.",
+      friendly: "A let/const variable was used before the line that declares it ran (the 'temporal dead zone').",
+      plain: "A let/const binding was accessed before its declaration was evaluated.",
+      details: [
+        {
+          hint: "Move the declaration of `{variable}` BEFORE you use it, or use var if you hate yourself.",
+          calmHint: "Move the declaration of `{variable}` above the first place it's used.",
+          plain: "'{variable}' was accessed before its declaration was evaluated."
+        }
+      ]
+    },
+
+    // TYPE ERRORS
+    not_a_function: {
+      emoji: "🧨",
+      roast: "EMOTIONAL DAMAGE! You called something a function. Narrator: It was not a function.",
+      hint: "Log it first: console.log(typeof yourThing). Check your imports/exports.",
+      extraBurn: "Treating non-functions like functions. Bold strategy. Terrible execution.",
+      friendly: "Something was called like a function, but it holds a different kind of value.",
+      plain: "A value that is not a function was called.",
+      details: [
+        {
+          hint: "`{variable}` isn't a function. Did you mean `{suggestion}`?",
+          friendly: "`{variable}` was called like a function, but it isn't one. Could `{suggestion}` be what you meant?",
+          plain: "'{variable}' is not a function. Possible typo of '{suggestion}'."
+        },
+        {
+          hint: "`{variable}` isn't a function. Log it first: console.log(typeof {variable}). Check your imports/exports.",
+          friendly: "`{variable}` was called like a function, but it holds a different kind of value.",
+          plain: "'{variable}' is not a function."
+        }
+      ]
+    },
+    not_iterable: {
+      emoji: "🔁",
+      roast: "You tried to loop over something that cannot be looped. This is why we can't have nice things.",
+      hint: "Only arrays, strings, Sets, Maps are iterable. Check your data type.",
+      extraBurn: "for...of loop took one look at your data and said 'I don't know her' and dipped.",
+      friendly: "A loop or spread was used on a value that can't be iterated, like an object or undefined.",
+      plain: "A non-iterable value was used where an iterable is required."
+    },
+    not_constructor: {
+      emoji: "🏗️",
+      roast: "You tried to 'new' something that's not a constructor. Not everything can be instantiated, chief.",
+      hint: "Not everything can be instantiated. Arrow functions can't be constructors.",
+      extraBurn: "This isn't Build-A-Bear workshop. You can't just 'new' everything you see.",
+      friendly: "'new' was used with something that can't be constructed, such as an arrow function or a plain object.",
+      plain: "'new' was applied to a value that is not a constructor.",
+      details: [
+        {
+          hint: "`{variable}` can't be used with 'new'. Arrow functions and plain objects aren't constructors; check what you imported.",
+          plain: "'{variable}' is not a constructor."
+        }
+      ]
+    },
+    cannot_set_property: {
+      emoji: "🚫",
+      roast: "Cannot set property on undefined/null. Setting vibes on nothing doesn't work in code either.",
+      hint: "Initialize the object first: obj = {} before setting properties.",
+      extraBurn: "You're trying to furnish a house that doesn't exist. Build the foundation first.",
+      friendly: "A property was set on undefined or null. The object needs to exist first.",
+      plain: "A property was assigned on undefined or null.",
+      details: [
+        {
+          hint: "Initialize the object before setting .{property} on it: obj = {} first.",
+          plain: "Property '{property}' was assigned on undefined or null."
+        }
+      ]
+    },
+    const_reassignment: {
+      emoji: "🔒",
+      roast: "You tried to reassign a const. That's... literally the opposite of const.",
+      hint: "Use let or var if you need to reassign. const means constant, genius.",
+      extraBurn: "const = constant. It's right there in the name. English is hard, I know.",
+      calmHint: "Use let if the variable needs to be reassigned.",
+      friendly: "A const variable was given a new value. const bindings can't be reassigned.",
+      plain: "A const binding was reassigned."
+    },
+    type_conversion: {
+      emoji: "⚙️",
+      roast: "Type conversion failed. You can't force incompatible types to be friends. This isn't couples therapy.",
+      hint: "Check your values before converting. parseInt, Number and toString need valid input.",
+      extraBurn: "JavaScript coercion has limits. You found them. Congratulations?",
+      friendly: "A value couldn't be converted to the type that was needed here.",
+      plain: "A type conversion failed."
+    },
+    reduce_empty: {
+      emoji: "📉",
+      roast: "Called reduce on an empty array without an initial value. That's like asking for directions in an empty room.",
+      hint: "Provide an initial value: array.reduce(fn, initialValue) or check array.length first.",
+      extraBurn: "Reduce needs something to reduce. Shocking concept, I know.",
+      friendly: "reduce() ran on an empty array with no starting value, so it had nothing to begin with.",
+      plain: "reduce() was called on an empty array without an initial value."
+    },
+    not_extensible: {
+      emoji: "🧊",
+      roast: "Object is not extensible. Someone sealed it. It's in witness protection from your bad decisions.",
+      hint: "Can't add properties to sealed/frozen objects. Use Object.isExtensible() to check.",
+      extraBurn: "This object said 'no new friends' and meant it.",
+      friendly: "A new property was added to an object that doesn't allow new properties (it's sealed, frozen or preventExtensions'd).",
+      plain: "A property was added to a non-extensible object."
+    },
+    cannot_delete: {
+      emoji: "🗑️",
+      roast: "Cannot delete property. That property has tenure and you can't fire it.",
+      hint: "Some properties are non-configurable. Check with Object.getOwnPropertyDescriptor().",
+      extraBurn: "Not everything can be deleted. Like this error message from your memory.",
+      friendly: "A property couldn't be deleted because it's non-configurable.",
+      plain: "A non-configurable property was deleted."
+    },
+    circular_json: {
+      emoji: "♾️",
+      roast: "Cannot stringify circular structure. Your object references itself like a philosophical paradox.",
+      hint: "Use JSON.stringify with a replacer function, or restructure your data to avoid self-reference.",
+      extraBurn: "Your data structure is having an existential crisis.",
+      friendly: "JSON.stringify hit an object that refers back to itself, which JSON can't represent.",
+      plain: "JSON.stringify was called on a structure with circular references."
+    },
+
+    // NETWORK/CONNECTION ERRORS
+    port_in_use: {
+      emoji: "🔌",
+      roast: "Port's taken. Just like your dreams of being a 10x developer.",
+      hint: "Kill the process: lsof -ti:PORT | xargs kill -9, or just pick a different port.",
+      extraBurn: "Imagine thinking port 3000 is ONLY yours. Main character syndrome much?",
+      friendly: "The port is already being used by another process, so the server couldn't start on it.",
+      plain: "The requested port is already in use.",
+      details: [
+        {
+          roast: "Port {port} is taken. Just like your dreams of being a 10x developer.",
+          hint: "Port {port} is taken. Run `lsof -i :{port}` (or `netstat -ano | findstr :{port}` on Windows) to find the process, then stop it or pick another port.",
+          extraBurn: "Imagine thinking port {port} is ONLY yours. Main character syndrome much?",
+          friendly: "Port {port} is already being used by another process, so the server couldn't start on it.",
+          plain: "Port {port} is already in use."
+        }
+      ]
+    },
+    file_missing: {
+      emoji: "👻",
+      roast: "EMOTIONAL DAMAGE! That file doesn't exist. You're coding fan fiction.",
+      hint: "Check the file path. Relative paths depend on your current working directory (cwd).",
+      extraBurn: "Pro tip: Files need to exist BEFORE you reference them. Revolutionary concept, I know.",
+      friendly: "A file or directory at the given path doesn't exist. It's often the working directory or a typo in the path.",
+      plain: "A file or directory was not found at the given path.",
+      details: [
+        {
+          hint: "Nothing exists at `{path}`. Check the spelling; relative paths resolve from the working directory (cwd), not from your script.",
+          friendly: "Nothing exists at `{path}`. It's often the working directory or a typo in the path.",
+          plain: "No file or directory exists at '{path}'."
+        },
+        {
+          roast: "EMOTIONAL DAMAGE! `{command}` isn't installed. You're spawning imaginary friends.",
+          hint: "`{command}` isn't installed or isn't on your PATH. Install it, or spawn it by its full path.",
+          friendly: "The command `{command}` couldn't be found.",
+          plain: "The command '{command}' was not found."
+        }
+      ]
+    },
+    conn_refused: {
+      emoji: "📵",
+      roast: "Connection refused. The server looked at your request and chose violence.",
+      hint: "Make sure the server is actually running and check your host/port are correct.",
+      extraBurn: "Even localhost doesn't want to talk to you right now.",
+      friendly: "The connection was refused. Usually the service isn't running yet, or the host/port is different.",
+      plain: "The connection was refused by the target host.",
+      details: [
+        {
+          hint: "Nothing is listening on {host}:{port}. Start the server, or check the host and port you're connecting to.",
+          friendly: "The connection to {host}:{port} was refused. Usually the service isn't running yet, or it's on a different host/port.",
+          plain: "The connection to {host}:{port} was refused."
+        }
+      ]
+    },
+    timeout: {
+      emoji: "⏳",
+      roast: "Request timed out. Even the packets gave up waiting for your code to make sense.",
+      hint: "Increase timeout, check network connection, or fix whatever's taking forever.",
+      extraBurn: "Your code is so slow, Internet Explorer is embarrassed for you.",
+      friendly: "The operation took too long and timed out.",
+      plain: "The operation timed out.",
+      details: [
+        {
+          hint: "{host}:{port} didn't answer in time. Check that it's reachable (firewall, VPN), or increase the timeout.",
+          plain: "The connection to {host}:{port} timed out."
+        }
+      ]
+    },
+    conn_reset: {
+      emoji: "🔌",
+      roast: "Connection reset. Server rage-quit mid-conversation like a toxic Discord mod.",
+      hint: "Could be server crash, firewall, or network instability. Check server logs.",
+      extraBurn: "The server said 'I'm done' and hung up on your request. That's cold.",
+      friendly: "The other side closed the connection unexpectedly.",
+      plain: "The connection was reset by the peer."
+    },
+    dns_error: {
+      emoji: "🌐",
+      roast: "DNS lookup failed. That domain doesn't exist (or your internet is as dead as your code quality).",
+      hint: "Check spelling, make sure you're online, and verify the URL is legit.",
+      extraBurn: "Can't find the domain. Did you just make up a URL and hope for the best?",
+      friendly: "The hostname couldn't be resolved. It may be misspelled, or the network may be down.",
+      plain: "DNS lookup failed for the hostname.",
+      details: [
+        {
+          hint: "`{host}` doesn't resolve. Check the spelling, make sure you're online, and try `nslookup {host}`.",
+          friendly: "The hostname `{host}` couldn't be resolved. It may be misspelled, or the network may be down.",
+          plain: "DNS lookup failed for '{host}'."
+        }
+      ]
+    },
+    permission_denied: {
+      emoji: "🔒",
+      roast: "PERMISSION DENIED. Even your computer knows you're not ready for this.",
+      hint: "Check file permissions (chmod), or run with proper privileges. Avoid sudo unless necessary.",
+      extraBurn: "The OS said 'no' harder than your last code review.",
+      friendly: "The process doesn't have permission to do that with this file or resource.",
+      plain: "Permission was denied for the operation.",
+      details: [
+        {
+          hint: "No permission for `{path}`. Check its owner and mode with `ls -l {path}`, or run as a user who has access. Avoid sudo unless necessary.",
+          plain: "Permission was denied for '{path}'."
+        },
+        {
+          hint: "Ports below 1024 need root. Listen on a port above 1024 instead of {port}, and put a reverse proxy in front if you need {port}.",
+          plain: "Permission was denied to listen on port {port}."
+        }
+      ]
+    },
+    too_many_files: {
+      emoji: "📂",
+      roast: "Too many open files. You're hoarding file descriptors like a digital dragon on a treasure pile.",
+      hint: "Close files/connections when done. Increase ulimit if legitimately needed.",
+      extraBurn: "Your app opened files and forgot they existed. Marie Kondo would be horrified.",
+      friendly: "The process has too many files or sockets open at once.",
+      plain: "The open file descriptor limit was reached."
+    },
+    file_exists: {
+      emoji: "📁",
+      roast: "File already exists. You can't create what's already real. Philosophy 101 failed you.",
+      hint: "Delete it first, rename it, or use a different filename.",
+      extraBurn: "Trying to create duplicate files. Next you'll try to divide by zero for fun.",
+      friendly: "Something already exists at that path, so it couldn't be created.",
+      plain: "The target path already exists.",
+      details: [
+        {
+          hint: "`{path}` already exists. Delete or rename it first, or pass { recursive: true } to fs.mkdir.",
+          plain: "'{path}' already exists."
+        }
+      ]
+    },
+    is_directory: {
+      emoji: "📁",
+      roast: "EISDIR: That's a directory, not a file. Learn the difference, it might save you.",
+      hint: "You're trying to read/write a directory as if it's a file. Check your paths.",
+      extraBurn: "Confusing files and folders. Your file system is judging you right now.",
+      friendly: "A directory was used where a file was expected.",
+      plain: "A directory was used where a file was expected."
+    },
+    not_directory: {
+      emoji: "📄",
+      roast: "ENOTDIR: That's a file, not a directory. The opposite problem from last time. Consistency!",
+      hint: "You're treating a file like a folder. Double-check your path logic.",
+      extraBurn: "Can't mkdir a file. Can't cd into a file. These are the rules.",
+      friendly: "A file was used where a directory was expected.",
+      plain: "A file was used where a directory was expected.",
+      details: [
+        {
+          hint: "Part of `{path}` is a file, not a directory. Double-check your path logic.",
+          plain: "Part of '{path}' is a file where a directory was expected."
+        }
+      ]
+    },
+    dir_not_empty: {
+      emoji: "📦",
+      roast: "Directory not empty. Can't delete what's full. Life lesson AND code lesson.",
+      hint: "Use fs.rm with {recursive: true} or delete contents first.",
+      extraBurn: "Trying to delete non-empty folders. The file system has abandonment issues.",
+      friendly: "The directory still has files in it, so it couldn't be removed.",
+      plain: "The directory is not empty.",
+      details: [
+        {
+          hint: "`{path}` still has files in it. Use fs.rm with { recursive: true } or delete its contents first.",
+          plain: "The directory '{path}' is not empty."
+        }
+      ]
+    },
+    broken_pipe: {
+      emoji: "🚰",
+      roast: "EPIPE: Broken pipe. You wrote to a stream that's already closed. It ghosted you.",
+      hint: "Check if streams are still open before writing. Handle 'close' events.",
+      extraBurn: "Writing to closed streams. That's sending texts after being blocked.",
+      friendly: "Data was written to a pipe or socket that the other end had already closed.",
+      plain: "A write was made to a closed pipe or socket."
+    },
+    network_unreachable: {
+      emoji: "🌐",
+      roast: "Network unreachable. Are you on a plane? In a tunnel? Underwater? Or just offline?",
+      hint: "Check your internet connection. Verify you're not behind a restrictive firewall.",
+      extraBurn: "No network, no service, no sympathy from me.",
+      friendly: "The network couldn't be reached. Check the connection or firewall.",
+      plain: "The network is unreachable."
+    },
+    host_unreachable: {
+      emoji: "🏝️",
+      roast: "Host unreachable. The server is on a deserted island with no WiFi.",
+      hint: "The host exists but routing failed. Check firewall rules and network config.",
+      extraBurn: "You can't reach the server. It can't reach you. Match NOT made in heaven.",
+      friendly: "The host couldn't be reached over the network.",
+      plain: "The host is unreachable."
+    },
+    bad_port: {
+      emoji: "🚪",
+      roast: "Bad port number. Ports are 1-65535. You chose... poorly.",
+      hint: "Use a valid port number between 1 and 65535. Preferably > 1024 for non-root.",
+      extraBurn: "Invalid port number. Were you just keyboard-smashing?",
+      friendly: "The port number isn't valid. Ports go from 0 to 65535.",
+      plain: "An invalid port number was used.",
+      details: [
+        {
+          hint: "{port} isn't a valid port. Use a whole number between 1 and 65535, preferably > 1024 for non-root.",
+          plain: "'{port}' is not a valid port number."
+        }
+      ]
+    },
+
+    // EXPRESS/HTTP ERRORS
+    headers_after_sent: {
+      emoji: "📬",
+      roast: "You tried to set headers after sending the response. That ship has sailed, captain.",
+      hint: "Only call res.send/json/end ONCE. Return after sending to stop execution.",
+      extraBurn: "Setting headers after response is like texting 'wait I have more to say' after being blocked.",
+      friendly: "Headers were set after the response was already sent. Usually a response is sent twice somewhere.",
+      plain: "Headers were set after the response had been sent."
+    },
+    request_aborted: {
+      emoji: "🚫",
+      roast: "Request aborted. Client said 'nah' and yeeted the connection into the void.",
+      hint: "Handle client disconnects gracefully. Check req.on('close', ...) events.",
+      extraBurn: "Client ghosted your server faster than you ghost the gym.",
+      friendly: "The client closed the request before it finished.",
+      plain: "The request was aborted by the client."
+    },
+    write_after_end: {
+      emoji: "📝",
+      roast: "You tried to write after ending the response. The door is closed. Move on.",
+      hint: "Don't call res.write() after res.end(). Pick one and commit.",
+      extraBurn: "res.end() means THE END. Not 'jk one more thing'. Learn boundaries.",
+      friendly: "Data was written to a response or stream after it was ended.",
+      plain: "A write occurred after end()."
+    },
+    socket_hangup: {
+      emoji: "📞",
+      roast: "Socket hang up. The connection ended abruptly like your attention span during documentation.",
+      hint: "Client/server closed the connection prematurely. Add error handlers.",
+      extraBurn: "Connection dropped faster than your GPA in sophomore year.",
+      friendly: "The connection was closed before a response arrived.",
+      plain: "The socket was closed before the response completed."
+    },
+    bad_request: {
+      emoji: "❌",
+      roast: "400 Bad Request. Your request was so malformed, the server couldn't even.",
+      hint: "Check your request body, headers, and URL parameters. Something's wrong.",
+      extraBurn: "The server looked at your request and immediately filed a restraining order.",
+      friendly: "The request was rejected as malformed.",
+      plain: "The request was malformed (400 Bad Request)."
+    },
+    payload_too_large: {
+      emoji: "📦",
+      roast: "Payload too large. Your request is chonky. Too chonky. The server said no.",
+      hint: "Reduce request size or increase server's bodyParser limit.",
+      extraBurn: "Request so thicc the server needed a forklift. And still said no.",
+      friendly: "The request body is larger than the server accepts.",
+      plain: "The request body exceeded the size limit."
+    },
+
+    // SYNTAX ERRORS
+    unexpected_token: {
+      emoji: "✂️",
+      roast: "Unexpected token. JS took one look at your syntax and filed a restraining order.",
+      hint: "Look for missing commas, brackets, or quotes near that line.",
+      extraBurn: "One stray character ruined your entire file. That's the butterfly effect of incompetence.",
+      friendly: "The parser found a character it didn't expect here. It's usually a missing comma, bracket or quote nearby.",
+      plain: "The parser encountered an unexpected token."
+    },
+    missing_paren: {
+      emoji: "🧠",
+      roast: "Missing closing parenthesis. You opened it and ghosted it. Commitment issues in code form.",
+      hint: "Every ( needs a ). Count them manually if your editor won't help.",
+      extraBurn: "Even your brackets are experiencing abandonment issues.",
+      friendly: "A closing parenthesis is missing somewhere around this line.",
+      plain: "A closing parenthesis is missing."
+    },
+    missing_brace: {
+      emoji: "🧱",
+      roast: "Missing closing brace. Commitment issues detected. Therapy might help.",
+      hint: "Every { needs a }. Use an IDE with bracket matching.",
+      extraBurn: "Your code has the structural integrity of a house of cards in a hurricane.",
+      friendly: "A closing brace is missing somewhere around this line.",
+      plain: "A closing brace is missing."
+    },
+    unexpected_eof: {
+      emoji: "📄",
+      roast: "File ended mid-thought. Did your cat walk across the keyboard and hit save?",
+      hint: "You probably have unclosed brackets or parentheses somewhere above.",
+      extraBurn: "This code has the narrative structure of a sneeze.",
+      friendly: "The file ended while something was still open, like a bracket, parenthesis or string.",
+      plain: "The input ended unexpectedly."
+    },
+    invalid_token: {
+      emoji: "🚨",
+      roast: "Invalid or unexpected token. That character doesn't belong there, like pineapple on pizza.",
+      hint: "Could be a weird Unicode character or syntax you copy-pasted wrong.",
+      extraBurn: "Copy-pasting from StackOverflow without reading. A tale as old as time.",
+      friendly: "There's a character here that isn't valid JavaScript, often a smart quote or invisible Unicode from a copy-paste.",
+      plain: "The source contains an invalid or unexpected token."
+    },
+    illegal_return: {
+      emoji: "🚪",
+      roast: "Illegal return statement. You can't return from global scope. This isn't a buffet.",
+      hint: "return only works inside functions. Move it into a function.",
+      extraBurn: "Returning from nowhere. Your code has an existential crisis.",
+      friendly: "A return statement is outside of any function.",
+      plain: "A return statement appears outside a function."
+    },
+    spread_error: {
+      emoji: "📤",
+      roast: "Spread/rest operator misuse. You're spreading chaos, not arrays.",
+      hint: "Syntax is ...array for spread, or ...args in function params for rest.",
+      extraBurn: "Three dots shouldn't cause this much confusion. It's not Morse code.",
+      friendly: "The spread or rest syntax (...) is used in a place where it isn't allowed.",
+      plain: "Spread or rest syntax was used incorrectly."
+    },
+    reserved_word: {
+      emoji: "⛔",
+      roast: "Unexpected reserved word. You can't use 'if', 'const', 'class' etc. as variable names. They're RESERVED.",
+      hint: "Avoid using JavaScript keywords as identifiers. Pick literally any other name.",
+      extraBurn: "Using reserved words as variables. Next you'll name your kid 'function'.",
+      calmHint: "Avoid using JavaScript keywords as identifiers. Rename the variable.",
+      friendly: "A reserved keyword is being used as a name.",
+      plain: "A reserved word was used as an identifier."
+    },
+    duplicate_param: {
+      emoji: "👥",
+      roast: "Duplicate parameter name. You named two params the same thing. Identity crisis much?",
+      hint: "Each parameter needs a unique name. This isn't Pokemon, you can't catch duplicates.",
+      extraBurn: "Two params, one name. One survives, one dies. Hunger Games: Parameter Edition.",
+      calmHint: "Give each parameter a unique name.",
+      friendly: "Two parameters in the same function have the same name.",
+      plain: "A function declares the same parameter name twice."
+    },
+    strict_mode: {
+      emoji: "👮",
+      roast: "Strict mode violation. JavaScript's hall monitor caught you breaking the rules.",
+      hint: "Remove 'use strict' or fix the violation. Strict mode doesn't tolerate your shenanigans.",
+      extraBurn: "Strict mode is JavaScript saying 'not on my watch'. And it meant it.",
+      calmHint: "Fix the construct that strict mode doesn't allow, or remove 'use strict' if it isn't needed.",
+      friendly: "This code isn't allowed in strict mode.",
+      plain: "The code violates strict mode rules."
+    },
+    bad_destructuring: {
+      emoji: "💥",
+      roast: "Invalid destructuring. You tried to destructure something that can't be destructured. Chaos.",
+      hint: "Check you're destructuring objects/arrays properly: {a,b} for objects, [a,b] for arrays.",
+      extraBurn: "Destructuring gone wrong. You deconstructed your code's will to live.",
+      friendly: "The destructuring pattern doesn't match the shape of the value.",
+      plain: "The destructuring pattern is invalid."
+    },
+
+    // JSON ERRORS
+    json_parse: {
+      emoji: "📉",
+      roast: "JSON.parse exploded. That string is not JSON, it's unstructured chaos cosplaying as data.",
+      hint: "Log the string before parsing. Fix quotes, commas, trailing commas, etc.",
+      extraBurn: "That ain't JSON. That's a cry for help in curly braces.",
+      friendly: "JSON.parse got a string that isn't valid JSON.",
+      plain: "JSON.parse received invalid JSON."
+    },
+    json_incomplete: {
+      emoji: "📃",
+      roast: "Unexpected end of JSON input. Your JSON is incomplete, like your understanding of it.",
+      hint: "The JSON is truncated or missing closing braces. Check the entire string.",
+      extraBurn: "JSON so broken even JSON.parse gave up mid-parse.",
+      friendly: "The JSON input ended too early. It may be empty or cut off.",
+      plain: "The JSON input ended unexpectedly."
+    },
+
+    // MODULE ERRORS
+    module_not_found: {
+      emoji: "📦",
+      roast: "MODULE NOT FOUND. You copy-pasted imports without installing anything, didn't you?",
+      hint: "Run: npm install <package-name>, and verify your package.json.",
+      extraBurn: "Importing libraries you never installed is called 'wishful thinking', not programming.",
+      friendly: "A module couldn't be found. It may not be installed yet, or the path may be off.",
+      plain: "A required module could not be resolved.",
+      details: [
+        {
+          roast: "You typo'd the path. `{suggestion}` is RIGHT THERE, one keystroke away, watching you fail.",
+          hint: "Nothing exists at `{path}`. Did you mean `{suggestion}`?",
+          friendly: "Nothing exists at `{path}`, but `{suggestion}` does. It looks like a small typo.",
+          plain: "The module '{path}' could not be resolved; '{suggestion}' exists."
+        },
+        {
+          hint: "The file is `{actualCase}`, not `{path}`. That only works on case-insensitive disks (macOS, Windows) and breaks on Linux and in CI. Import it as `{actualCase}`.",
+          friendly: "`{path}` differs only in upper/lower case from the real file, `{actualCase}`. Some systems don't mind that, but this one does.",
+          plain: "'{path}' differs in case from the existing file '{actualCase}'."
+        },
+        {
+          hint: "ES modules need the full file name, extension included: import `{withExtension}` instead of `{path}`.",
+          friendly: "`{path}` is missing its file extension. Unlike require(), ES module imports don't add one, so it has to be `{withExtension}`.",
+          plain: "ES module imports require file extensions; '{withExtension}' exists."
+        },
+        {
+          hint: "There's no package `{module}` in your package.json, but there is `{suggestedModule}`. Did you mean that?",
+          friendly: "`{module}` isn't installed, but `{suggestedModule}` is in your package.json. It may be a typo.",
+          plain: "The package '{module}' is not declared; '{suggestedModule}' is."
+        },
+        {
+          roast: "`{module}` is a devDependency. Production installs skip those, and your app just found out the hard way.",
+          hint: "`{module}` is only in devDependencies, which production installs (NODE_ENV=production, `--omit=dev`, `--production`) leave out. Move it to dependencies: `{moveCommand}`.",
+          friendly: "`{module}` is listed under devDependencies, so it isn't installed in production mode. The running code needs it, so it belongs in dependencies.",
+          plain: "'{module}' is only a devDependency and was not installed."
+        },
+        {
+          roast: "`{module}` is right there in package.json. You just never installed it. Reading is hard.",
+          hint: "`{module}` is in package.json but not in node_modules. Run `{installAll}`.",
+          friendly: "`{module}` is listed in package.json but hasn't been installed yet. Installing dependencies will fix it.",
+          plain: "'{module}' is declared in package.json but not installed."
+        },
+        {
+          hint: "`{module}` is installed but has no `{subpath}`. Check the package's docs or the \"exports\" field in its package.json for the right path.",
+          friendly: "`{module}` is installed, but `{subpath}` isn't a path it provides.",
+          plain: "'{module}' does not provide '{subpath}'."
+        },
+        {
+          hint: "`{module}` isn't in your package.json. Run `{addCommand}`, and check the spelling of the import.",
+          friendly: "The package `{module}` isn't installed or listed in package.json yet.",
+          plain: "The package '{module}' is not declared in package.json."
+        },
+        {
+          hint: "Run `npm install {module}`, and check the spelling of the import.",
+          friendly: "The package `{module}` couldn't be found. It's probably not installed yet.",
+          plain: "The package '{module}' could not be resolved."
+        },
+        {
+          hint: "Nothing exists at `{path}`. Relative imports resolve from the importing file; check the path and the file extension.",
+          friendly: "The file `{path}` couldn't be found. The path may be off, relative to the file importing it.",
+          plain: "The module '{path}' could not be resolved."
+        }
+      ]
+    },
+    require_esm: {
+      emoji: "📦",
+      roast: "You tried to require() an ES module. Welcome to 2024, we use import now.",
+      hint: "Use import instead, or add 'type': 'module' to package.json.",
+      extraBurn: "require() is so 2015. Let it go. Move on. Embrace import.",
+      friendly: "require() was used to load an ES module.",
+      plain: "require() was used to load an ES module.",
+      details: [
+        {
+          hint: "`{path}` is an ES module. Load it with import() instead, or add 'type': 'module' to package.json.",
+          plain: "require() was used to load the ES module '{path}'."
+        }
+      ]
+    },
+    import_outside_module: {
+      emoji: "📦",
+      roast: "import used outside a module. Node doesn't recognize this as ESM. Configuration is key, bud.",
+      hint: "Add 'type': 'module' to package.json or use .mjs extension.",
+      extraBurn: "Using import without module config. That's like driving without a license.",
+      friendly: "'import' was used in a file Node treats as CommonJS.",
+      plain: "An import statement was used outside an ES module."
+    },
+    export_error: {
+      emoji: "📦",
+      roast: "Export not defined. You exported something that doesn't exist. Selling air, basically.",
+      hint: "Check spelling and make sure the variable/function is actually declared.",
+      extraBurn: "Can't export what you never created. That's fraud, not code.",
+      friendly: "Something was exported that isn't declared in the module.",
+      plain: "An export refers to an undeclared binding."
+    },
+    must_use_import: {
+      emoji: "📦",
+      roast: "Must use import to load ES Module. require() won't cut it anymore, boomer.",
+      hint: "Switch to import syntax or convert the package to CommonJS.",
+      extraBurn: "ESM only accepts import. Get with the times.",
+      friendly: "This package is an ES module, so it needs to be loaded with import.",
+      plain: "The module must be loaded with import."
+    },
+    named_export_missing: {
+      emoji: "🏷️",
+      roast: "Named export not found. You're importing something that was never exported. Invisible imports.",
+      hint: "Check the module's exports. Use 'export { thing }' or 'export const thing'.",
+      extraBurn: "Importing things that don't exist. Manifesting doesn't work in code either.",
+      friendly: "The module doesn't have an export with that name.",
+      plain: "The requested named export does not exist.",
+      details: [
+        {
+          hint: "`{module}` has no export named `{property}`. Check its exports; for a CommonJS module, import the default and read {property} from it.",
+          plain: "'{module}' has no export named '{property}'."
+        }
+      ]
+    },
+    default_export_error: {
+      emoji: "🎯",
+      roast: "Default export issue. Either it doesn't exist or you're importing it wrong.",
+      hint: "Use 'import thing from' for default exports, 'import { thing }' for named.",
+      extraBurn: "Default exports are straightforward. Yet here we are.",
+      friendly: "There's a mismatch between a default export and how it's imported.",
+      plain: "The default export is missing or imported incorrectly."
+    },
+
+    // RECURSION/MEMORY ERRORS
+    stack_overflow: {
+      emoji: "🌀",
+      roast: "STACK OVERFLOW! Infinite recursion speedrun any%. You played yourself.",
+      hint: "Add a base case to your recursion, or stop calling functions in circles.",
+      extraBurn: "Your function called itself so many times it developed an existential crisis.",
+      friendly: "The call stack overflowed. Most often a recursive function doesn't reach its base case.",
+      plain: "The maximum call stack size was exceeded."
+    },
+    memory_error: {
+      emoji: "💾",
+      roast: "Out of memory. Your code is eating RAM like it's free real estate at a Black Friday sale.",
+      hint: "You're probably creating huge arrays, memory leaks, or infinite loops.",
+      extraBurn: "Chrome would be proud. You've achieved peak memory consumption.",
+      friendly: "The process ran out of memory.",
+      plain: "The process ran out of memory."
+    },
+    fatal_error: {
+      emoji: "☠️",
+      roast: "FATAL ERROR. Node said 'I'm out' and took your process with it. This is BAD.",
+      hint: "Usually memory-related. Check for memory leaks, huge allocations, or corrupted native code.",
+      extraBurn: "Fatal errors mean Node gave up on you. That's rock bottom.",
+      friendly: "Node hit a fatal error and had to stop.",
+      plain: "Node encountered a fatal error."
+    },
+
+    // REGEX ERRORS
+    invalid_regex: {
+      emoji: "🔤",
+      roast: "Invalid regular expression. Your regex is having an identity crisis.",
+      hint: "Escape special characters properly: \\. \\* \\+ and test your pattern.",
+      extraBurn: "Regex is hard. But this isn't regex. This is alphabet soup.",
+      friendly: "The regular expression isn't valid.",
+      plain: "The regular expression is invalid."
+    },
+    regex_unterminated: {
+      emoji: "🔤",
+      roast: "Unterminated regex. You started a pattern and abandoned it like New Year's resolutions.",
+      hint: "Close your regex properly: /pattern/flags or use new RegExp().",
+      extraBurn: "Even your regex has commitment issues.",
+      friendly: "A character class [...] in the regex is never closed.",
+      plain: "The regular expression has an unterminated character class."
+    },
+    regex_invalid_group: {
+      emoji: "🔤",
+      roast: "Invalid regex group. Your capturing groups are more confused than you are.",
+      hint: "Check your parentheses and group syntax. Use (?:...) for non-capturing.",
+      extraBurn: "Regex groups require balance. Clearly not your strong suit.",
+      friendly: "A group in the regex has invalid syntax.",
+      plain: "The regular expression has an invalid group."
+    },
+    regex_nothing_to_repeat: {
+      emoji: "🔤",
+      roast: "Nothing to repeat in regex. You put a quantifier (+, *, ?) before anything to quantify.",
+      hint: "Quantifiers need something to quantify. Put them AFTER the pattern.",
+      extraBurn: "Repeating nothing repeatedly. That's just... nothing.",
+      friendly: "A quantifier (+, *, ?) in the regex has nothing before it to repeat.",
+      plain: "A regex quantifier has nothing to repeat."
+    },
+
+    // CIRCULAR/DEPENDENCY ERRORS
+    circular_dependency: {
+      emoji: "♻️",
+      roast: "Circular dependency detected. File A imports B imports A. Ouroboros code eating itself.",
+      hint: "Restructure your imports. Extract shared code to a third file.",
+      extraBurn: "Your code structure is a paradox. M.C. Escher would be confused.",
+      friendly: "Two or more modules import each other, so one of them isn't ready when it's used.",
+      plain: "A circular dependency was detected."
+    },
+    cyclic_reference: {
+      emoji: "♻️",
+      roast: "Cyclic object reference. You created an infinite loop of self-referential sadness.",
+      hint: "Don't make objects reference themselves. Use WeakMap if you need cycles.",
+      extraBurn: "Your object is stuck in an existential loop. Very postmodern. Still broken.",
+      friendly: "An object refers back to itself somewhere.",
+      plain: "A cyclic reference was detected."
+    },
+
+    // DATABASE ERRORS
+    duplicate_key: {
+      emoji: "🔑",
+      roast: "Duplicate key error. That record already exists, and it's judging you.",
+      hint: "Check for existing records before inserting, or update instead of insert.",
+      extraBurn: "Trying to insert duplicates. Next you'll try to invent gravity twice.",
+      friendly: "A record with this unique key already exists.",
+      plain: "A unique constraint was violated."
+    },
+    mongo_connection: {
+      emoji: "🍃",
+      roast: "MongoDB connection refused. Is MongoDB even running, or is this wishful thinking?",
+      hint: "Start MongoDB: mongod or brew services start mongodb-community",
+      extraBurn: "Can't connect to a database that isn't running. Revolutionary debugging technique.",
+      friendly: "MongoDB refused the connection. It may not be running.",
+      plain: "The MongoDB connection was refused.",
+      details: [
+        {
+          hint: "Nothing is listening on {host}:{port}. Start MongoDB (mongod or brew services start mongodb-community) or check the connection string.",
+          plain: "The MongoDB connection to {host}:{port} was refused."
+        }
+      ]
+    },
+    postgres_connection: {
+      emoji: "🐘",
+      roast: "PostgreSQL connection refused. Database left you on read. It's not you, it's definitely you.",
+      hint: "Start Postgres: brew services start postgresql or check connection string.",
+      extraBurn: "Even the elephant wants nothing to do with your queries.",
+      friendly: "PostgreSQL refused the connection. It may not be running.",
+      plain: "The PostgreSQL connection was refused.",
+      details: [
+        {
+          hint: "Nothing is listening on {host}:{port}. Start Postgres (brew services start postgresql) or check the connection string.",
+          plain: "The PostgreSQL connection to {host}:{port} was refused."
+        }
+      ]
+    },
+    table_not_exists: {
+      emoji: "📊",
+      roast: "Table/relation does not exist. You're querying tables from your imagination.",
+      hint: "Check table name spelling, run migrations, or create the table first.",
+      extraBurn: "Querying non-existent tables. Fan fiction, database edition.",
+      friendly: "The query uses a table that doesn't exist in this database.",
+      plain: "The referenced table or relation does not exist."
+    },
+    column_not_exists: {
+      emoji: "📋",
+      roast: "Column does not exist. That field is as real as your productivity today.",
+      hint: "Check column names in your schema. Case-sensitive in some databases.",
+      extraBurn: "Selecting columns that don't exist. Bold strategy, terrible execution.",
+      friendly: "The query uses a column that doesn't exist on the table.",
+      plain: "The referenced column does not exist."
+    },
+    sql_syntax: {
+      emoji: "📝",
+      roast: "SQL syntax error. Your query is grammatically incorrect in the language of databases.",
+      hint: "Check your SQL syntax. Missing commas, wrong keywords, or typos.",
+      extraBurn: "SQL syntax errors. Even the database is correcting your grammar.",
+      friendly: "The SQL query has a syntax error.",
+      plain: "The SQL query has a syntax error."
+    },
+
+    // ARRAY/OBJECT ERRORS
+    invalid_array_length: {
+      emoji: "📏",
+      roast: "Invalid array length. Arrays have limits. You found them. Congrats?",
+      hint: "Array length must be a positive integer. Check your math.",
+      extraBurn: "Creating arrays of invalid size. Math is hard, arrays are harder.",
+      friendly: "An array was given a length that isn't valid.",
+      plain: "An invalid array length was used."
+    },
+    negative_array_length: {
+      emoji: "➖",
+      roast: "Negative array length? Arrays can't have negative length. This isn't quantum physics.",
+      hint: "Array lengths must be >= 0. Check your calculations.",
+      extraBurn: "Negative arrays exist only in your imagination and nowhere else.",
+      friendly: "An array was given a negative length.",
+      plain: "A negative array length was used."
+    },
+    frozen_object: {
+      emoji: "🧊",
+      roast: "Object is frozen. Someone called Object.freeze() and it's permanent. Let it go.",
+      hint: "Frozen objects can't be modified. Clone it first if you need changes.",
+      extraBurn: "Trying to modify frozen objects. Elsa would be proud. Your code isn't.",
+      friendly: "A property was added to an object that's frozen or otherwise locked.",
+      plain: "A property could not be created on the object."
+    },
+    sealed_object: {
+      emoji: "🔒",
+      roast: "Object is sealed. No new properties allowed. It's on a permanent diet.",
+      hint: "Sealed objects can modify existing props but not add new ones.",
+      extraBurn: "Sealed objects said 'no new properties' and will die on that hill.",
+      friendly: "A property was added to a sealed object.",
+      plain: "A property was added to a sealed object."
+    },
+
+    // ENCODING/BUFFER ERRORS
+    invalid_encoding: {
+      emoji: "🔤",
+      roast: "Invalid encoding. That encoding doesn't exist. Did you just make it up?",
+      hint: "Use valid encodings: utf8, ascii, base64, hex, binary, etc.",
+      extraBurn: "Making up encodings. Creative, but wrong.",
+      friendly: "The encoding name isn't one Node supports.",
+      plain: "An unsupported encoding was specified."
+    },
+    buffer_too_large: {
+      emoji: "💾",
+      roast: "Buffer too large. You're trying to create a buffer bigger than Node's limit. Ambition: 10/10, Execution: 0/10.",
+      hint: "Node has buffer size limits. Stream large data instead of buffering.",
+      extraBurn: "Buffer so big even your RAM filed a complaint.",
+      friendly: "The buffer is larger than Node allows.",
+      plain: "The buffer size exceeds the maximum."
+    },
+    invalid_buffer: {
+      emoji: "💾",
+      roast: "Invalid buffer size. Buffers have size limits and rules. You broke both.",
+      hint: "Check your buffer allocation size and ensure it's a valid positive integer.",
+      extraBurn: "Invalid buffer. Your memory management skills need management.",
+      friendly: "The buffer size isn't valid.",
+      plain: "An invalid buffer size was used."
+    },
+
+    // CRYPTO/SECURITY ERRORS
+    unsupported_digest: {
+      emoji: "🔐",
+      roast: "Digest algorithm not supported. That hash doesn't exist in this dimension.",
+      hint: "Use supported algorithms: sha256, sha512, md5, etc. Check crypto.getHashes().",
+      extraBurn: "Using non-existent hash algorithms. Very secure. Very broken.",
+      friendly: "That hash algorithm isn't available here.",
+      plain: "The digest algorithm is not supported."
+    },
+    key_derivation_failed: {
+      emoji: "🔑",
+      roast: "Key derivation failed. Your encryption keys are having an identity crisis.",
+      hint: "Check your key derivation parameters, salt, and iterations.",
+      extraBurn: "Can't derive keys. Your crypto is having a mid-life crisis.",
+      friendly: "Key derivation failed with the given parameters.",
+      plain: "Key derivation failed."
+    },
+    decryption_failed: {
+      emoji: "🔓",
+      roast: "Decryption failed. Wrong key, wrong algorithm, or wrong life choices.",
+      hint: "Verify encryption/decryption key match and algorithm is correct.",
+      extraBurn: "Decryption failed. Not even the data wants to talk to you.",
+      friendly: "Decryption failed. The key, IV or algorithm may not match what was used to encrypt.",
+      plain: "Decryption failed."
+    },
+
+    // WORKER/THREAD ERRORS
+    worker_terminated: {
+      emoji: "👷",
+      roast: "Worker terminated unexpectedly. Your worker thread rage-quit like a toxic teammate.",
+      hint: "Check worker code for errors. Workers can crash independently.",
+      extraBurn: "Worker threads quitting on you. Even parallel processes can't stand your code.",
+      friendly: "A worker thread stopped unexpectedly.",
+      plain: "A worker thread terminated unexpectedly."
+    },
+    worker_communication: {
+      emoji: "📡",
+      roast: "Worker communication error. Parent and worker can't talk. Family therapy needed.",
+      hint: "Check postMessage syntax and message handlers on both sides.",
+      extraBurn: "Parent-worker communication breakdown. It's like Thanksgiving dinner but worse.",
+      friendly: "Messages between the main thread and a worker couldn't be passed.",
+      plain: "Communication with a worker failed."
+    },
+    atomics_not_allowed: {
+      emoji: "⚛️",
+      roast: "Atomics not allowed. Shared memory operations blocked. Sharing isn't always caring.",
+      hint: "Atomics require SharedArrayBuffer and proper environment setup.",
+      extraBurn: "Atomic operations blocked. Your threading is having boundary issues.",
+      friendly: "Atomics can't be used in this context.",
+      plain: "Atomics operations are not allowed here."
+    },
+
+    // STREAM ERRORS
+    stream_premature_close: {
+      emoji: "🌊",
+      roast: "Stream closed prematurely. It ended before finishing. Story of your last project.",
+      hint: "Handle 'close' and 'error' events. Don't assume streams finish successfully.",
+      extraBurn: "Premature stream closure. Performance issues aren't just for humans.",
+      friendly: "A stream closed before it finished.",
+      plain: "A stream closed prematurely."
+    },
+    stream_not_writable: {
+      emoji: "📝",
+      roast: "Stream is not writable. You can't write to a read-only stream. Basic streams, bro.",
+      hint: "Check if stream is writable before writing. Use writable.writable property.",
+      extraBurn: "Writing to non-writable streams. Reading comprehension: 0/10.",
+      friendly: "Data was written to a stream that isn't writable.",
+      plain: "The stream is not writable."
+    },
+    stream_not_readable: {
+      emoji: "📖",
+      roast: "Stream is not readable. Can't read from write-only streams. Directions unclear?",
+      hint: "Verify stream type before reading. Check readable.readable property.",
+      extraBurn: "Reading from non-readable streams. Instructions unclear, stream stuck in limbo.",
+      friendly: "Data was read from a stream that isn't readable.",
+      plain: "The stream is not readable."
+    },
+
+    // ASSERTION/TEST ERRORS
+    assertion_failed: {
+      emoji: "✅",
+      roast: "Assertion failed. Your test expected one thing, got another. Reality check failed.",
+      hint: "Check expected vs actual values. Your code doesn't match your assumptions.",
+      extraBurn: "Failed assertion. When code meets expectations, someone's gotta lose.",
+      friendly: "An assertion failed: the actual value didn't match what was expected.",
+      plain: "An assertion failed.",
+      details: [
+        {
+          roast: "Two objects that look identical, compared by identity. They're twins, not the same person.",
+          hint: "`{operator}` compares objects by identity, and these are two different objects with the same contents. Use `{deepOperator}` to compare what's inside.",
+          friendly: "These two objects have the same contents but are different objects, and `{operator}` checks whether they're the very same one.",
+          plain: "'{operator}' compares object identity; the values are equal in structure but are different objects. Use '{deepOperator}'."
+        },
+        {
+          hint: "`{operator}` wanted two different values, but both sides are {sameValue}.",
+          friendly: "`{operator}` expects the two values to differ, but both are {sameValue}.",
+          plain: "'{operator}' failed: both values are {sameValue}."
+        },
+        {
+          hint: "The function passed to {missingThrow}() never threw. If it's async, it returns a rejected promise instead: use assert.rejects() and await it.",
+          friendly: "The function given to {missingThrow}() finished without throwing. If it's an async function, assert.rejects() (awaited) is the one to use.",
+          plain: "The function passed to {missingThrow}() did not throw."
+        },
+        {
+          hint: "The promise passed to {missingRejection}() resolved instead of rejecting. Did you forget to await it, or is the failure path not reached?",
+          friendly: "The promise given to {missingRejection}() resolved, so the rejection you expected never happened.",
+          plain: "The promise passed to {missingRejection}() did not reject."
+        },
+        {
+          hint: "The code threw when the test said it wouldn't: \"{thrownMessage}\". Fix that error, or assert that it throws.",
+          friendly: "The code threw \"{thrownMessage}\", and the test expected it not to throw.",
+          plain: "Unexpected exception: \"{thrownMessage}\"."
+        },
+        {
+          hint: "The string didn't match {pattern}. Compare the two in the diff above; anchors (^, $) and escaping are the usual suspects.",
+          friendly: "The string didn't match {pattern}. The diff above shows what it was.",
+          plain: "The input did not match {pattern}."
+        },
+        {
+          hint: "The string matched {unwantedPattern}, and the test said it shouldn't.",
+          plain: "The input matched {unwantedPattern}."
+        },
+        {
+          hint: "The value you asserted was {falsyValue}, which is falsy. Log what produces it, or assert on the exact value with strictEqual for a useful diff.",
+          friendly: "The asserted value was {falsyValue}, which counts as false. Asserting the exact value with strictEqual gives a clearer diff.",
+          plain: "The asserted value was falsy: {falsyValue}."
+        },
+        {
+          roast: "Expected a {expectedType}, got a {actualType}. Close isn't a thing in strict equality.",
+          hint: "The types differ: actual is a {actualType}, expected is a {expectedType}. Convert one side (Number(), String()) or fix what produces it.",
+          friendly: "These look alike but the types differ: the actual value is a {actualType}, the expected one a {expectedType}.",
+          plain: "Type mismatch: actual is {actualType}, expected is {expectedType}."
+        },
+        {
+          hint: "`{operator}` failed. In the diff, + lines are what your code produced and - lines what the test expected.",
+          friendly: "`{operator}` found a difference. In the diff, + lines are what your code produced and - lines what the test expected.",
+          plain: "'{operator}' failed; see the diff (+ actual, - expected)."
+        }
+      ]
+    },
+
+    // DEPRECATION
+    deprecation_warning: {
+      emoji: "⚠️",
+      roast: "Deprecation warning. You're using deprecated APIs like a time traveler from 2015.",
+      hint: "Update to the newer API. Deprecated means 'will break soon'.",
+      extraBurn: "Using deprecated features. Your code has the shelf life of milk in July.",
+      friendly: "A deprecated API is being used. It still works for now, but it's worth updating.",
+      plain: "A deprecated API was used."
+    },
+    experimental_warning: {
+      emoji: "🧪",
+      roast: "Experimental feature. You're beta testing Node.js in production and calling it engineering.",
+      hint: "Fine for trying things out. Pin your Node version, since experimental APIs can change between releases.",
+      extraBurn: "Living on the edge. The edge is a cliff.",
+      friendly: "An experimental Node.js feature is in use. It works, but its API may still change.",
+      plain: "An experimental Node.js feature was used."
+    },
+    max_listeners: {
+      emoji: "👂",
+      roast: "Too many listeners on one emitter. You're subscribing in a loop and calling it event-driven.",
+      hint: "Look for .on() calls inside loops or per-request code that never call .off(). Only raise setMaxListeners() if you really need that many.",
+      extraBurn: "Every listener you forget to remove is a tiny memory leak with a name tag.",
+      friendly: "An EventEmitter got more listeners than expected, which often means listeners are added repeatedly and never removed.",
+      plain: "An EventEmitter exceeded its listener limit."
+    },
+    process_warning: {
+      emoji: "⚠️",
+      roast: "Node is warning you. Node doesn't warn people it respects.",
+      hint: "Read the warning text. Run with --trace-warnings to see which line triggered it.",
+      extraBurn: "Warnings are errors that haven't happened yet.",
+      friendly: "Node.js printed a warning. It didn't stop the program, but it's worth a look.",
+      plain: "Node.js printed a warning."
+    },
+
+    // GENERIC FALLBACKS
+    syntax_generic: {
+      emoji: "📚",
+      roast: "Syntax error so bad, Brendan Eich felt a disturbance in the Force.",
+      hint: "Read the line number carefully. JavaScript is case-sensitive and picky.",
+      extraBurn: "Your code failed English AND Computer Science at the same time.",
+      friendly: "There's a syntax error near the reported line.",
+      plain: "The code contains a syntax error."
+    },
+    type_generic: {
+      emoji: "🛑",
+      roast: "TypeError: You're forcing things together like a bad rom-com. They're incompatible.",
+      hint: "Console.log the variables and check their types before operations.",
+      extraBurn: "JavaScript isn't a dating app. You can't force bad matches to work.",
+      friendly: "A value had a different type than this operation expects.",
+      plain: "A value had an unexpected type."
+    },
+    ref_generic: {
+      emoji: "🤷",
+      roast: "ReferenceError: You're calling variables from an alternate dimension where your code works.",
+      hint: "Make sure the variable/function exists in the current scope before using it.",
+      extraBurn: "Spoiler alert: That dimension doesn't exist.",
+      friendly: "Something was referenced that isn't available in this scope.",
+      plain: "An invalid reference was made."
+    },
+    range_generic: {
+      emoji: "♾️",
+      roast: "Value out of range. You went full send and flew past the boundaries of sanity.",
+      hint: "Check array indices, string lengths, or numeric bounds.",
+      extraBurn: "JavaScript has limits. You found them. Congrats, I guess?",
+      friendly: "A value is outside the range allowed here.",
+      plain: "A value is out of the allowed range."
+    },
+    uri_error: {
+      emoji: "🌐",
+      roast: "URIError: Your URL encoding/decoding failed. URLs have rules. You broke them.",
+      hint: "Check encodeURI/decodeURI usage. Some characters need special handling.",
+      extraBurn: "URL encoding failed. Even the internet doesn't want your links.",
+      friendly: "A URI couldn't be encoded or decoded.",
+      plain: "A URI encoding or decoding function failed."
+    },
+    eval_error: {
+      emoji: "⚠️",
+      roast: "EvalError. You used eval(). eval is evil. This is your punishment.",
+      hint: "Stop using eval(). Just... stop. There's always a better way.",
+      extraBurn: "eval() errors are karma for using eval() in the first place.",
+      calmHint: "Avoid eval() where possible; there's usually a safer alternative.",
+      friendly: "eval() failed.",
+      plain: "An error occurred in eval()."
+    },
+    generic: {
+      emoji: "💥",
+      roast: "Your code is a war crime against computer science. Even StackOverflow gave up on you.",
+      hint: "Debug it yourself. Use console.log like a caveman discovering fire.",
+      extraBurn: "This error is so unique, it deserves its own Wikipedia page.",
+      calmHint: "Start at the reported location and log the values involved to narrow it down.",
+      friendly: "Something went wrong. The location and message above are the best place to start.",
+      plain: "An error occurred."
+    }
+  };
+
+  // A custom pattern's own text is used field by field, each one when its
+  // placeholders can be filled, with the generic roast and hint behind it
+  const custom = collectCustomPatterns(options).find(p => p.key === pattern);
+  if (custom) {
+    const entry = {
+      emoji: custom.emoji || roastDB.generic.emoji,
+      roast: roastDB.generic.roast,
+      hint: roastDB.generic.hint,
+      details: TEXT_FIELDS.filter(field => typeof custom[field] === "string").map(field => ({ [field]: custom[field] })),
+    };
+    return applyTone(withDetails(entry, captures), options.tone);
+  }
+
+  const data = roastDB[pattern] || roastDB["generic"];
+  return applyTone(withDetails(data, captures), options.tone);
+}
+
+// --------- 🧷 DETAILS FROM THE MESSAGE ----------
+
+const TEXT_FIELDS = ["roast", "hint", "extraBurn", "calmHint", "friendly", "plain"];
+
+// Fills "{port}"-style placeholders from the pattern's named groups, or
+// returns null if one of them wasn't captured.
+function interpolate(text, captures) {
+  let missing = false;
+  const filled = text.replace(/\{(\w+)\}/g, (_, name) => {
+    if (captures[name] === undefined) missing = true;
+    return captures[name];
+  });
+  return missing ? null : filled;
+}
+
+// `details` are wordings that name what the message captured. A detail
+// applies only when every one of its placeholders was captured, so a roast
+// without any still belongs to the case its hint describes. Each text field
+// takes the first applicable detail that has it and keeps its general
+// wording otherwise.
+function withDetails(entry, captures = {}) {
+  const result = { ...entry };
+  const applicable = (entry.details || []).filter(detail =>
+    TEXT_FIELDS.every(field => typeof detail[field] !== "string" || interpolate(detail[field], captures) !== null)
+  );
+
+  for (const field of TEXT_FIELDS) {
+    const detail = applicable.find(d => typeof d[field] === "string");
+    if (detail) result[field] = interpolate(detail[field], captures);
+  }
+  return result;
+}
+
+// --------- 🎚️ TONES ----------
+
+// "roast" uses the entry as written. The calmer tones swap the roast for the
+// entry's own wording for that tone, drop the extra burn and use the
+// toned-down hint where the regular one has an edge to it.
+function applyTone(entry, tone = "roast") {
+  if (tone === "roast") {
+    const { emoji, roast, hint, extraBurn } = entry;
+    return { emoji, roast, hint, extraBurn };
+  }
+
+  return {
+    emoji: entry.emoji,
+    roast: entry[tone] || null,
+    hint: entry.calmHint || entry.hint,
+    extraBurn: undefined,
+  };
+}
+
+module.exports = { getRoastAndHint };
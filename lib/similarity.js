@@ -0,0 +1,39 @@
+// --------- 🔤 CLOSEST NAME ----------
+
+// Levenshtein distance: how many single-character edits turn `a` into `b`.
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// The candidate `name` was most likely meant to be, or null if none is close
+// enough to be a typo: at most a third of the name may differ. Case doesn't
+// count as a difference.
+function closestName(name, candidates, { key = c => c } = {}) {
+  const target = name.toLowerCase();
+  const limit = Math.max(1, Math.floor(name.length / 3));
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const distance = editDistance(target, key(candidate).toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return bestDistance <= limit ? best : null;
+}
+
+module.exports = { editDistance, closestName };
@@ -0,0 +1,203 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const { toFsPath, displayPath } = require("./paths");
+
+// --------- 🧭 SOURCE MAPS ----------
+
+const BASE64 = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+const BASE64_VALUES = {};
+for (let i = 0; i < BASE64.length; i++) BASE64_VALUES[BASE64[i]] = i;
+
+// Parsed maps by generated file path, with the modification times of the
+// files they were read from; a `map` of null means "looked, found nothing".
+// Watch mode rebuilds keep changing those files, so stale entries are reread.
+const cache = new Map();
+
+function decodeVlq(segment) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+
+  for (const ch of segment) {
+    const digit = BASE64_VALUES[ch];
+    if (digit === undefined) return null;
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+
+  return values;
+}
+
+// One array of [generatedColumn, source, originalLine, originalColumn] per
+// generated line, all zero-based, sorted by column.
+function decodeMappings(mappings) {
+  const lines = [];
+  let source = 0;
+  let origLine = 0;
+  let origColumn = 0;
+
+  for (const lineText of mappings.split(";")) {
+    const segments = [];
+    let genColumn = 0;
+
+    for (const segmentText of lineText.split(",")) {
+      if (!segmentText) continue;
+      const v = decodeVlq(segmentText);
+      if (!v) continue;
+
+      genColumn += v[0];
+      if (v.length < 4) continue;
+      source += v[1];
+      origLine += v[2];
+      origColumn += v[3];
+      segments.push([genColumn, source, origLine, origColumn]);
+    }
+
+    lines.push(segments);
+  }
+
+  return lines;
+}
+
+function readMapReference(fsPath) {
+  let code;
+  try {
+    code = fs.readFileSync(fsPath, "utf8");
+  } catch (err) {
+    return null;
+  }
+
+  const matches = code.match(/\/\/[#@] sourceMappingURL=(\S+)\s*$/gm);
+  if (matches) {
+    const url = matches[matches.length - 1].replace(/^\/\/[#@] sourceMappingURL=/, "").trim();
+    const inline = url.match(/^data:application\/json(?:;charset=[^;,]+)?;base64,(.+)$/);
+    if (inline) {
+      return { dir: path.dirname(fsPath), json: Buffer.from(inline[1], "base64").toString("utf8"), file: fsPath };
+    }
+    if (!/^[a-z]+:/i.test(url)) {
+      const mapPath = path.resolve(path.dirname(fsPath), decodeURI(url));
+      if (fs.existsSync(mapPath)) return { dir: path.dirname(mapPath), json: fs.readFileSync(mapPath, "utf8"), file: mapPath };
+    }
+  }
+
+  // No comment, but plenty of build tools still write app.js.map next to app.js
+  if (fs.existsSync(`${fsPath}.map`)) {
+    return { dir: path.dirname(fsPath), json: fs.readFileSync(`${fsPath}.map`, "utf8"), file: `${fsPath}.map` };
+  }
+
+  return null;
+}
+
+// Sources like "webpack://app/./src/x.ts" lose their scheme and namespace.
+function resolveSource(dir, sourceRoot, source) {
+  const bare = source.replace(/^(?!file:)[a-z][\w+.-]*:\/\/[^/]*\//i, "");
+  const fsPath = toFsPath(bare);
+  return path.resolve(dir, sourceRoot || "", fsPath);
+}
+
+function modifiedAt(file) {
+  try {
+    return fs.statSync(file).mtimeMs;
+  } catch (err) {
+    return null;
+  }
+}
+
+function loadSourceMap(fsPath) {
+  const cached = cache.get(fsPath);
+  if (cached && cached.files.every((file, i) => modifiedAt(file) === cached.mtimes[i])) return cached.map;
+
+  let map = null;
+  const ref = readMapReference(fsPath);
+  if (ref) {
+    try {
+      const raw = JSON.parse(ref.json);
+      if (typeof raw.mappings === "string" && Array.isArray(raw.sources)) {
+        map = {
+          sources: raw.sources.map(s => resolveSource(ref.dir, raw.sourceRoot, s)),
+          sourcesContent: raw.sourcesContent || [],
+          lines: decodeMappings(raw.mappings),
+        };
+      }
+    } catch (err) {
+      map = null;
+    }
+  }
+
+  const files = ref && ref.file !== fsPath ? [fsPath, ref.file] : [fsPath];
+  cache.set(fsPath, { files, mtimes: files.map(modifiedAt), map });
+  return map;
+}
+
+// Maps a 1-based line/column in a generated file back to the original source.
+// Returns null when there's no map or no mapping for that spot.
+function originalPositionFor(filePath, line, column) {
+  const fsPath = toFsPath(filePath);
+  if (!fsPath || !path.isAbsolute(fsPath) || !line) return null;
+
+  const map = loadSourceMap(fsPath);
+  if (!map) return null;
+
+  const segments = map.lines[Number(line) - 1];
+  if (!segments || segments.length === 0) return null;
+
+  const col = column ? Number(column) - 1 : 0;
+  let match = segments[0];
+  for (const seg of segments) {
+    if (seg[0] > col) break;
+    match = seg;
+  }
+
+  const [, sourceIndex, origLine, origColumn] = match;
+  const source = map.sources[sourceIndex];
+  if (!source) return null;
+
+  return {
+    file: source,
+    line: origLine + 1,
+    column: origColumn + 1,
+    content: map.sourcesContent[sourceIndex] || null,
+  };
+}
+
+// Rewrites the crash location and every stack frame to original positions,
+// keeping where they came from under `generated`.
+function applySourceMaps(info, { cwd = process.cwd() } = {}) {
+  const frames = (info.frames || []).map(frame => {
+    const original = originalPositionFor(frame.file, frame.line, frame.column);
+    if (!original) return frame;
+    const { file, line, column } = frame;
+    return { ...frame, file: original.file, line: original.line, column: original.column, generated: { file, line, column } };
+  });
+
+  const result = { ...info, frames };
+  const original = originalPositionFor(info.filePath, info.line, info.column);
+  if (original) {
+    result.generated = { file: info.file, filePath: info.filePath, line: info.line, column: info.column };
+    result.filePath = original.file;
+    result.file = displayPath(original.file, cwd);
+    result.line = original.line;
+    result.column = original.column;
+  }
+
+  if (info.cause) result.cause = applySourceMaps(info.cause, { cwd });
+  if (info.errors) result.errors = info.errors.map(e => applySourceMaps(e, { cwd }));
+
+  return result;
+}
+
+// The original source as embedded in the map (sourcesContent), which matches
+// the mapped positions even if the file on disk changed since the build.
+function mappedSourceContent(generated) {
+  if (!generated) return null;
+  const original = originalPositionFor(generated.filePath, generated.line, generated.column);
+  return original ? original.content : null;
+}
+
+module.exports = { applySourceMaps, originalPositionFor, mappedSourceContent };
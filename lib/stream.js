@@ -0,0 +1,99 @@
+const { startsBlock } = require("./events");
+
+// --------- 🚰 LIVE STDERR PASSTHROUGH ----------
+
+const TAIL_LINES = 1000;
+
+// Writes stderr through as it arrives, but holds back anything that looks like
+// the start of a crash trace. If the process dies while a block is held, that
+// block is the crash and gets roasted instead of printed. If the process keeps
+// running, it was just logging, and the block is released after `holdMs`.
+function createStderrTap(write, { holdMs = 250 } = {}) {
+  let partial = "";
+  let partialWritten = false;
+  let held = [];
+  let tail = [];
+  let timer = null;
+
+  // `end` is "" when the last held line is one the script never finished
+  function release(end = "\n") {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    if (held.length === 0) return;
+    write(held.join("\n") + end);
+    held = [];
+  }
+
+  function remember(line) {
+    tail.push(line);
+    if (tail.length > TAIL_LINES) tail.shift();
+  }
+
+  function onLine(line, alreadyWritten) {
+    remember(line);
+
+    if (held.length > 0) {
+      held.push(line);
+      return;
+    }
+
+    if (!alreadyWritten && startsBlock(line)) {
+      held.push(line);
+      timer = setTimeout(release, holdMs);
+      if (timer.unref) timer.unref();
+      return;
+    }
+
+    write(alreadyWritten ? line.slice(partial.length) + "\n" : line + "\n");
+  }
+
+  function push(chunk) {
+    const parts = (partial + chunk).split("\n");
+    const rest = parts.pop();
+
+    parts.forEach((line, i) => {
+      const written = i === 0 && partialWritten;
+      onLine(line, written);
+      if (i === 0) {
+        partial = "";
+        partialWritten = false;
+      }
+    });
+
+    // Unterminated text (prompts, progress bars) goes out right away
+    if (rest && held.length === 0) {
+      write(rest.slice(partialWritten ? partial.length : 0));
+      partialWritten = true;
+    }
+    partial = rest;
+  }
+
+  // Returns the last stretch of stderr for diagnosis. With `crashed` false
+  // everything still held is written out, since nothing died; otherwise the
+  // held block stays unprinted because it's about to be roasted.
+  function finish(crashed) {
+    let end = "\n";
+    if (partial) {
+      if (held.length > 0) {
+        held.push(partial);
+        end = "";
+      } else if (!partialWritten) {
+        write(partial);
+      }
+      remember(partial);
+      partial = "";
+    }
+
+    if (timer) clearTimeout(timer);
+    timer = null;
+
+    if (crashed) held = [];
+    else release(end);
+
+    return tail.join("\n");
+  }
+
+  return { push, finish };
+}
+
+module.exports = { createStderrTap };
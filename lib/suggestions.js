@@ -0,0 +1,179 @@
+const fs = require("node:fs");
+const { toFsPath } = require("./paths");
+const { mappedSourceContent } = require("./sourcemap");
+const { closestName } = require("./similarity");
+
+// --------- 🔎 DID YOU MEAN ----------
+
+// Shorter names are too close to everything to call anything a typo
+const MIN_NAME_LENGTH = 3;
+
+// CommonJS wrapper variables and what ES modules use instead
+const ESM_REPLACEMENTS = {
+  require: "`import ... from '...'`, or `createRequire(import.meta.url)` from node:module for CommonJS-only code",
+  __dirname: "`import.meta.dirname` (Node 20.11+) or `path.dirname(fileURLToPath(import.meta.url))`",
+  __filename: "`import.meta.filename` (Node 20.11+) or `fileURLToPath(import.meta.url)`",
+  module: "`export default ...`",
+  exports: "`export const ...`",
+};
+
+// Globals Node only gained in a later major version
+const NEWER_GLOBALS = {
+  AbortController: 15,
+  AbortSignal: 15,
+  structuredClone: 17,
+  fetch: 18,
+  Headers: 18,
+  Request: 18,
+  Response: 18,
+  FormData: 18,
+  Blob: 18,
+  crypto: 19,
+  navigator: 21,
+  WebSocket: 22,
+};
+
+const BROWSER_GLOBALS = ["window", "document", "localStorage", "sessionStorage", "alert", "location"];
+
+const KEYWORDS = new Set(
+  ("break case catch class const continue debugger default delete do else export extends finally for " +
+    "function if import in instanceof let new return super switch this throw try typeof var void while " +
+    "with yield async await of null true false undefined").split(" ")
+);
+
+// Methods and properties of the built-ins people call most
+const BUILTIN_MEMBERS = [
+  Array.prototype, String.prototype, Object.prototype, Number.prototype, Promise.prototype,
+  Map.prototype, Set.prototype, Date.prototype, RegExp.prototype, Function.prototype,
+  Object, Array, JSON, Math, Promise, Number, console, process,
+].flatMap(obj => Object.getOwnPropertyNames(obj)).filter(name => !name.startsWith("__"));
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// The original source of the crash location: the source-mapped one when
+// there is one, otherwise the file on disk.
+function readSource(info) {
+  const mapped = mappedSourceContent(info.generated);
+  if (mapped !== null) return mapped;
+  const fsPath = toFsPath(info.filePath);
+  if (!fsPath) return null;
+  try {
+    return fs.readFileSync(fsPath, "utf8");
+  } catch (err) {
+    return null;
+  }
+}
+
+// Every identifier in the source, split into ones used as variables and
+// ones used as properties (`obj.name`, `{ name: ... }`). Comments and
+// string contents are dropped first.
+function collectNames(source) {
+  const code = source
+    .replace(/\/\*[\s\S]*?\*\/|\/\/.*$/gm, " ")
+    .replace(/(["'`])(?:\\.|(?!\1)[^\\\n])*\1/g, "\"\"");
+  const variables = new Set();
+  const properties = new Set();
+
+  for (const m of code.matchAll(/(\.\s*)?(?<![\w$])([A-Za-z_$][\w$]*)(\s*:)?/g)) {
+    const name = m[2];
+    if (KEYWORDS.has(name)) continue;
+    if (m[1] || m[3]) properties.add(name);
+    else variables.add(name);
+  }
+
+  return { variables: [...variables], properties: [...properties] };
+}
+
+function isEsm(info) {
+  return /^file:|\.m[jt]s$/.test(info.filePath || "") || /ES module scope/.test(info.message);
+}
+
+function nodeMajor() {
+  return Number(process.versions.node.split(".")[0]);
+}
+
+function suggest(name, candidates) {
+  if (name.length < MIN_NAME_LENGTH) return null;
+  return closestName(name, candidates.filter(c => c !== name));
+}
+
+// "reqest is not defined": a global that needs importing in this kind of
+// module or this Node version, a browser-only global, or a typo of
+// something in scope.
+function investigateUndefinedName(info, captures) {
+  const name = captures.variable;
+  if (!name) return null;
+
+  const esm = isEsm(info);
+  if (esm && ESM_REPLACEMENTS[name]) {
+    return { reason: "esm_global", esmReplacement: ESM_REPLACEMENTS[name] };
+  }
+  if (NEWER_GLOBALS[name] && nodeMajor() < NEWER_GLOBALS[name]) {
+    return { reason: "newer_global", sinceNode: String(NEWER_GLOBALS[name]), nodeVersion: process.versions.node };
+  }
+  if (BROWSER_GLOBALS.includes(name)) {
+    return { reason: "browser_global", onlyIn: "browsers" };
+  }
+
+  const source = readSource(info);
+  const candidates = [
+    ...(source ? collectNames(source).variables : []),
+    ...Object.getOwnPropertyNames(globalThis),
+    ...(esm ? [] : Object.keys(ESM_REPLACEMENTS)),
+  ];
+  const suggestion = suggest(name, candidates);
+  if (suggestion) return { reason: "typo", suggestion };
+  return null;
+}
+
+// The closest known name for the last part of `a.b.c`, swapped back into
+// the expression: variables for a bare name, properties otherwise.
+function suggestExpression(expression, source) {
+  const parts = expression.split(".");
+  if (!parts.every(part => IDENTIFIER.test(part))) return null;
+
+  const names = source ? collectNames(source) : { variables: [], properties: [] };
+  const last = parts[parts.length - 1];
+  const candidates = parts.length === 1
+    ? [...names.variables, ...Object.getOwnPropertyNames(globalThis)]
+    : [...names.properties, ...names.variables, ...BUILTIN_MEMBERS];
+
+  const suggestion = suggest(last, candidates);
+  return suggestion ? [...parts.slice(0, -1), suggestion].join(".") : null;
+}
+
+// "items.fliter is not a function"
+function investigateNotAFunction(info, captures) {
+  if (!captures.variable) return null;
+  const suggestion = suggestExpression(captures.variable, readSource(info));
+  if (suggestion) return { reason: "typo", suggestion };
+  return null;
+}
+
+// "Cannot read properties of undefined (reading 'name')" only names the
+// property; the expression that was undefined is in the source, right
+// before it. Often its last part is a misspelled property.
+function investigateUndefinedProperty(info, captures) {
+  const { property } = captures;
+  const source = property && info.line ? readSource(info) : null;
+  if (!source) return null;
+
+  const text = source.split(/\r?\n/)[Number(info.line) - 1] || "";
+  const escaped = property.replace(/[$]/g, "\\$");
+  const access = new RegExp(`([A-Za-z_$][\\w$]*(?:\\??\\.[A-Za-z_$][\\w$]*)*)\\??\\.${escaped}(?![\\w$])`, "g");
+
+  // The access the crash column points at, or the nearest one on the line
+  const column = Number(info.column) || 0;
+  let best = null;
+  for (const m of text.matchAll(access)) {
+    const distance = Math.abs(m.index + m[0].length - property.length + 1 - column);
+    if (!best || distance < best.distance) best = { object: m[1].replace(/\?\./g, "."), distance };
+  }
+  if (!best) return null;
+
+  // A bare variable that is undefined was declared; only a property can be a typo
+  const suggestion = best.object.includes(".") && suggestExpression(best.object, source);
+  return suggestion ? { reason: "typo", object: best.object, suggestion } : { object: best.object };
+}
+
+module.exports = { investigateUndefinedName, investigateNotAFunction, investigateUndefinedProperty };
@@ -0,0 +1,93 @@
+const { shouldColor, stripAnsi } = require("./colors");
+
+// --------- 📏 TERMINAL OUTPUT ----------
+
+// OSC 8 hyperlinks: the URL is never shown, only the text between them
+const HYPERLINK = /\x1b\]8;[^\x07\x1b]*(?:\x07|\x1b\\)/g;
+
+// Emoji and CJK take two columns; combining marks, variation selectors and
+// skin tones take none.
+const WIDE = /[\p{Emoji_Presentation}\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6\u{20000}-\u{3fffd}]/u;
+const ZERO_WIDTH = /[\p{Mn}\p{Me}\u200b-\u200f\ufe00-\ufe0f\u{1f3fb}-\u{1f3ff}]/u;
+const ZWJ = "\u200d";
+const EMOJI_VARIATION = "\ufe0f";
+
+// Columns `text` takes up in a terminal, ignoring color codes and links
+function displayWidth(text) {
+  let width = 0;
+  let previous = 0;
+  let joined = false;
+
+  for (const char of stripAnsi(String(text).replace(HYPERLINK, ""))) {
+    if (char === ZWJ) {
+      // 👩‍💻 is one emoji made of three: the parts after a joiner are free
+      joined = true;
+      continue;
+    }
+    if (char === EMOJI_VARIATION) {
+      // ⚙️ and 🕵️: a narrow symbol asked to be drawn as an emoji
+      if (previous === 1) width += 1;
+      previous = 2;
+      continue;
+    }
+    if (joined || ZERO_WIDTH.test(char)) {
+      joined = false;
+      continue;
+    }
+    previous = WIDE.test(char) ? 2 : 1;
+    width += previous;
+  }
+
+  return width;
+}
+
+// Splits a word that doesn't fit on a line of its own
+function breakWord(word, width) {
+  const pieces = [];
+  let piece = "";
+  for (const char of word) {
+    if (piece && displayWidth(piece + char) > width) {
+      pieces.push(piece);
+      piece = "";
+    }
+    piece += char;
+  }
+  return piece ? [...pieces, piece] : pieces;
+}
+
+// Word-wraps plain text to `width` columns. Existing line breaks are kept;
+// without a width the lines come back as they are.
+function wrapText(text, width) {
+  const lines = String(text).split("\n");
+  if (!width || width < 1) return lines;
+
+  const out = [];
+  for (const line of lines) {
+    let current = "";
+    for (const word of line.split(/ +/).flatMap(w => (displayWidth(w) > width ? breakWord(w, width) : [w]))) {
+      const candidate = current ? `${current} ${word}` : word;
+      if (current && displayWidth(candidate) > width) {
+        out.push(current);
+        current = word;
+      } else {
+        current = candidate;
+      }
+    }
+    out.push(current);
+  }
+  return out;
+}
+
+// How to render for `stream`, from the config: whether to color and link,
+// how wide the terminal is (null when it isn't one), and the box style
+function outputOptions(stream, config) {
+  const isTTY = Boolean(stream && stream.isTTY);
+  return {
+    color: shouldColor(stream, config.color),
+    hyperlinks: config.hyperlinks === "auto" ? isTTY : config.hyperlinks,
+    width: isTTY && stream.columns > 0 ? stream.columns : null,
+    ascii: Boolean(config.ascii),
+  };
+}
+
+module.exports = { displayWidth, wrapText, outputOptions };
@@ -0,0 +1,53 @@
+const { explain } = require("./explain");
+const { renderHintLines } = require("./render");
+const { loadConfigSafely } = require("./config");
+const { shouldColor, stripAnsi } = require("./colors");
+
+// --------- 🧪 TEST RUNNERS ----------
+
+// Test runners hand over the Error itself, a copy serialized across from a
+// worker ({ name, message, stack }), or only their formatted failure text.
+// Colors come off first so the patterns see what the error actually said.
+function plainError(error, depth = 0) {
+  if (typeof error === "string") return stripAnsi(error);
+  if (!error || typeof error !== "object") return error;
+
+  // node:test wraps what the test threw in ERR_TEST_FAILURE
+  if (error.code === "ERR_TEST_FAILURE" && error.cause && depth < 10) return plainError(error.cause, depth + 1);
+
+  const copy = {
+    name: error.name,
+    message: typeof error.message === "string" ? stripAnsi(error.message) : error.message,
+    stack: typeof error.stack === "string" ? stripAnsi(error.stack) : error.stack,
+    code: error.code,
+  };
+  // Assertion details, for the diff
+  for (const key of ["actual", "expected", "operator", "matcherResult"]) {
+    if (key in error) copy[key] = error[key];
+  }
+  if (error.cause !== undefined && depth < 10) copy.cause = plainError(error.cause, depth + 1);
+  if (Array.isArray(error.errors) && depth < 10) copy.errors = error.errors.map(e => plainError(e, depth + 1));
+  return copy;
+}
+
+// Returns `hintFor(error, { indent })`, which diagnoses one failing test's
+// error and renders the lines to print under it, or null when there's
+// nothing more specific to say than the runner already did. `options` are
+// config overrides, usually the reporter's own options. `hintFor.color`
+// says whether the hints are colored, for the reporter's own headings.
+function createTestHinter(options = {}) {
+  const config = loadConfigSafely(options);
+  const color = shouldColor(process.stdout, config.color);
+
+  function hintFor(error, { indent = "  " } = {}) {
+    if (error === undefined || error === null) return null;
+    const diagnosis = explain(plainError(error), config);
+    if (diagnosis.pattern === "generic") return null;
+    return renderHintLines(diagnosis, { indent, color, ascii: config.ascii }) || null;
+  }
+  hintFor.color = color;
+
+  return hintFor;
+}
+
+module.exports = { createTestHinter };
@@ -0,0 +1,75 @@
+const fs = require("node:fs");
+const path = require("node:path");
+
+// --------- 👀 WATCH MODE ----------
+
+const WATCHED_EXTENSIONS = [".js", ".mjs", ".cjs", ".json", ".ts", ".mts", ".cts", ".tsx", ".jsx"];
+
+// node_modules and dot-directories (.git, .cache, .next...) change all the
+// time without the script changing
+function isIgnoredDir(name) {
+  return name === "node_modules" || name.startsWith(".");
+}
+
+// Calls `onChange(file)` after source files under `root` change, once per
+// burst of saves. Each directory gets its own watcher so node_modules is
+// never walked (recursive fs.watch would, and is Linux-only from Node 19.1
+// anyway); directories created later are picked up as they appear.
+function watchFiles(root, onChange, { debounceMs = 100 } = {}) {
+  const watchers = new Map();
+  let timer = null;
+  let lastChanged = null;
+
+  function notify(dir, filename) {
+    if (!filename) return;
+    const fullPath = path.join(dir, filename.toString());
+
+    if (!watchers.has(fullPath) && !isIgnoredDir(path.basename(fullPath))) {
+      try {
+        if (fs.statSync(fullPath).isDirectory()) watchTree(fullPath);
+      } catch (err) {
+        // Deleted again before we looked
+      }
+    }
+
+    if (!WATCHED_EXTENSIONS.includes(path.extname(fullPath))) return;
+    lastChanged = path.relative(root, fullPath);
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      onChange(lastChanged);
+    }, debounceMs);
+  }
+
+  function watchTree(dir) {
+    let entries;
+    try {
+      const watcher = fs.watch(dir, (event, filename) => notify(dir, filename));
+      // A watched directory that gets deleted reports an error; just stop
+      watcher.on("error", () => {
+        watcher.close();
+        watchers.delete(dir);
+      });
+      watchers.set(dir, watcher);
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (err) {
+      return;
+    }
+
+    for (const entry of entries) {
+      if (entry.isDirectory() && !isIgnoredDir(entry.name)) watchTree(path.join(dir, entry.name));
+    }
+  }
+
+  watchTree(root);
+
+  return {
+    close() {
+      if (timer) clearTimeout(timer);
+      for (const watcher of watchers.values()) watcher.close();
+      watchers.clear();
+    },
+  };
+}
+
+module.exports = { watchFiles };
@@ -0,0 +1,23 @@
+// Usage: app.use(require("fun-error/middleware/express")()) after your routes
+//
+// Error-handling middleware: logs the diagnosis with the request, then in
+// development answers with the dev error page. Otherwise (or once headers
+// are out) the error goes on to the next error handler as usual.
+const { createRequestHandler } = require("../lib/http");
+
+function funErrExpress(options = {}) {
+  const { handle } = createRequestHandler(options);
+
+  // Express tells error handlers apart by their four parameters
+  return function funErrHandler(err, req, res, next) {
+    const request = { method: req.method, path: req.originalUrl || req.url, accept: req.headers.accept };
+    const { status, page } = handle(err, request);
+    if (!page || res.headersSent) return next(err);
+
+    res.statusCode = status;
+    res.setHeader("Content-Type", page.type);
+    res.end(page.body);
+  };
+}
+
+module.exports = funErrExpress;
@@ -0,0 +1,32 @@
+// Usage: app.register(require("fun-error/middleware/fastify"), { ...options })
+//
+// Logs the diagnosis of every request error with the request. In
+// development it also becomes the error handler and answers with the dev
+// error page; otherwise Fastify's (or your) error handler responds as usual.
+const { createRequestHandler } = require("../lib/http");
+
+function funErrFastify(fastify, options, done) {
+  const { handle, showPage } = createRequestHandler(options);
+  const requestOf = (request) => ({ method: request.method, path: request.url, accept: request.headers.accept });
+
+  if (showPage) {
+    fastify.setErrorHandler((error, request, reply) => {
+      const { status, page } = handle(error, requestOf(request));
+      reply.code(status).type(page.type).send(page.body);
+    });
+  } else {
+    fastify.addHook("onError", (request, reply, error, next) => {
+      handle(error, requestOf(request));
+      next();
+    });
+  }
+
+  done();
+}
+
+// Apply to the whole app rather than an encapsulated child context, the way
+// fastify-plugin would mark it
+funErrFastify[Symbol.for("skip-override")] = true;
+funErrFastify[Symbol.for("fastify.display-name")] = "fun-error";
+
+module.exports = funErrFastify;
@@ -0,0 +1,26 @@
+// Usage: app.use(require("fun-error/middleware/koa")()) before your routes
+//
+// Catches whatever the middleware after it throws, logs the diagnosis with
+// the request, then in development answers with the dev error page.
+// Otherwise the error is rethrown for Koa (or your own handler) to deal with.
+const { createRequestHandler } = require("../lib/http");
+
+function funErrKoa(options = {}) {
+  const { handle } = createRequestHandler(options);
+
+  return async function funErrMiddleware(ctx, next) {
+    try {
+      await next();
+    } catch (err) {
+      const request = { method: ctx.method, path: ctx.originalUrl || ctx.url, accept: ctx.get("Accept") };
+      const { status, page } = handle(err, request);
+      if (!page || ctx.headerSent) throw err;
+
+      ctx.status = status;
+      ctx.type = page.type;
+      ctx.body = page.body;
+    }
+  };
+}
+
+module.exports = funErrKoa;
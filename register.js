@@ -0,0 +1,3 @@
+// Usage: node -r fun-error/register app.js
+//    or: require("fun-error/register") at the top of your entry file
+require("./lib/register").installHandlers();
@@ -0,0 +1,38 @@
+// Usage, in jest.config.js:
+//   reporters: ["default", "fun-error/reporters/jest"]
+//   or ["fun-error/reporters/jest", { tone: "friendly" }] for config overrides
+//
+// Prints the roast and fix for each failing test after Jest's own report
+// for that file.
+const { createTestHinter } = require("../lib/testing");
+const { palette } = require("../lib/colors");
+
+class FunErrJestReporter {
+  constructor(globalConfig, reporterOptions = {}) {
+    this.hintFor = createTestHinter(reporterOptions);
+  }
+
+  onTestResult(test, testResult) {
+    const { RST, RED, BOLD } = palette(this.hintFor.color);
+    const out = [];
+
+    for (const result of testResult.testResults) {
+      if (result.status !== "failed") continue;
+
+      // Errors from workers arrive serialized, often without message or
+      // stack; the formatted failure text always has both
+      const details = result.failureDetails || [];
+      const hints = result.failureMessages
+        .map((text, i) => this.hintFor(details[i] && details[i].message ? details[i] : text, { indent: "    " }))
+        .filter(Boolean);
+      if (hints.length === 0) continue;
+
+      const title = [...result.ancestorTitles, result.title].join(" › ");
+      out.push(`  ${RED}${BOLD}● ${title}${RST}`, ...hints, "");
+    }
+
+    if (out.length > 0) process.stderr.write(`${out.join("\n")}\n`);
+  }
+}
+
+module.exports = FunErrJestReporter;
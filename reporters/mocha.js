@@ -0,0 +1,25 @@
+// Usage: mocha --reporter fun-error/reporters/mocha
+//    or: "reporter": "fun-error/reporters/mocha" in .mocharc
+//
+// Mocha's spec reporter, with the roast and fix under each failing test.
+// --reporter-option tone=friendly (or any other config key) is passed through.
+const Mocha = require("mocha");
+const { createTestHinter } = require("../lib/testing");
+
+const { Base, Spec } = Mocha.reporters;
+const { EVENT_TEST_FAIL } = Mocha.Runner.constants;
+
+class FunErrMochaReporter extends Spec {
+  constructor(runner, options = {}) {
+    super(runner, options);
+    const hintFor = createTestHinter(options.reporterOptions);
+    const log = Base.consoleLog || console.log;
+
+    runner.on(EVENT_TEST_FAIL, (test, err) => {
+      const hint = hintFor(err, { indent: "  ".repeat(test.titlePath().length + 1) });
+      if (hint) log(hint);
+    });
+  }
+}
+
+module.exports = FunErrMochaReporter;
@@ -0,0 +1,36 @@
+// Usage: node --test --test-reporter=fun-error/reporters/node-test
+//
+// Node's own spec reporter, with the roast and fix under each failing test.
+const { spec } = require("node:test/reporters");
+const { createTestHinter } = require("../lib/testing");
+
+// Whatever the spec reporter has written so far
+function drain(formatter) {
+  let output = "";
+  let chunk;
+  while ((chunk = formatter.read()) !== null) output += chunk;
+  return output;
+}
+
+async function* funErrSpecReporter(source) {
+  const hintFor = createTestHinter();
+  const formatter = spec();
+  formatter.setEncoding("utf8");
+
+  for await (const event of source) {
+    formatter.write(event);
+    const output = drain(formatter);
+    if (output) yield output;
+
+    // Suites fail because a test in them did; that test already has its hint
+    const details = event.type === "test:fail" ? event.data.details : null;
+    const failed = details && details.error && details.error.failureType !== "subtestsFailed";
+    const hint = failed ? hintFor(details.error, { indent: "  ".repeat(event.data.nesting + 1) }) : null;
+    if (hint) yield `${hint}\n\n`;
+  }
+
+  formatter.end();
+  for await (const chunk of formatter) yield chunk;
+}
+
+module.exports = funErrSpecReporter;
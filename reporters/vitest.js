@@ -0,0 +1,66 @@
+// Usage, in vitest.config.js:
+//   test: { reporters: ["default", "fun-error/reporters/vitest"] }
+//   or ["fun-error/reporters/vitest", { tone: "friendly" }] for config overrides
+//
+// Prints the roast and fix for each failing test after Vitest's own report.
+const { createTestHinter } = require("../lib/testing");
+const { palette } = require("../lib/colors");
+
+class FunErrVitestReporter {
+  constructor(options = {}) {
+    this.hintFor = createTestHinter(options);
+    this.log = console.log;
+    this.reported = false;
+  }
+
+  onInit(ctx) {
+    if (ctx && ctx.logger) this.log = (text) => ctx.logger.log(text);
+  }
+
+  onTestRunStart() {
+    this.reported = false;
+  }
+
+  // Vitest 3 and later
+  onTestRunEnd(testModules = []) {
+    const failures = [];
+    for (const testModule of testModules) {
+      for (const testCase of testModule.children.allTests()) {
+        const result = testCase.result();
+        if (result.state !== "failed") continue;
+        const title = `${testModule.relativeModuleId || testModule.moduleId} > ${testCase.fullName}`;
+        failures.push({ title, errors: result.errors || [] });
+      }
+    }
+    this.report(failures);
+  }
+
+  // Vitest 2 and earlier; 3 calls both, so only the first one reports
+  onFinished(files = []) {
+    const failures = [];
+    const visit = (task, titles) => {
+      const path = task.type === "test" || task.type === "suite" ? [...titles, task.name] : titles;
+      for (const child of task.tasks || []) visit(child, path);
+      if (task.type === "test" && task.result && task.result.state === "fail") {
+        failures.push({ title: path.join(" > "), errors: task.result.errors || [] });
+      }
+    };
+    for (const file of files) visit(file, [file.name]);
+    this.report(failures);
+  }
+
+  report(failures) {
+    if (this.reported) return;
+    this.reported = true;
+
+    const { RST, RED, BOLD } = palette(this.hintFor.color);
+    const out = [];
+    for (const { title, errors } of failures) {
+      const hints = errors.map(e => this.hintFor(e, { indent: "    " })).filter(Boolean);
+      if (hints.length > 0) out.push(`  ${RED}${BOLD}✗ ${title}${RST}`, ...hints, "");
+    }
+    if (out.length > 0) this.log(`\n${out.join("\n")}`);
+  }
+}
+
+module.exports = FunErrVitestReporter;
@@ -0,0 +1,149 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { spawnSync } = require("node:child_process");
+
+const CLI = path.join(__dirname, "..", "cli.js");
+
+// Runs funerr on `script` in a fresh directory holding `files`
+function runCli(args, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "funerr-test-"));
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  try {
+    return spawnSync(process.execPath, [CLI, ...args], { cwd: dir, encoding: "utf8", env: { ...process.env, NO_COLOR: "1" } });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("custom error classes keep their name, so type-based patterns match", () => {
+  const config = { customPatterns: [{ key: "acme_boom", type: "AcmeError", hint: "Ask Acme." }] };
+  const result = runCli(["--format", "json", "app.js"], {
+    ".funerrrc.json": JSON.stringify(config),
+    "app.js": 'class AcmeError extends Error {}\nAcmeError.prototype.name = "AcmeError";\nthrow new AcmeError("boom");\n',
+  });
+
+  const [error] = JSON.parse(result.stdout).errors;
+  assert.strictEqual(error.type, "AcmeError");
+  assert.strictEqual(error.message, "boom");
+  assert.strictEqual(error.pattern, "acme_boom");
+  assert.strictEqual(error.hint, "Ask Acme.");
+});
+
+test("a plain strictEqual gets the generic assertion roast, not the identity one", () => {
+  const result = runCli(["--format", "json", "app.js"], {
+    "app.js": 'const assert = require("assert");\nassert.strictEqual(1, 2);\n',
+  });
+
+  const [error] = JSON.parse(result.stdout).errors;
+  assert.strictEqual(error.pattern, "assertion_failed");
+  assert.doesNotMatch(error.roast, /compared by identity/);
+});
+
+test("two look-alike objects under strictEqual get the identity roast", () => {
+  const result = runCli(["--format", "json", "app.js"], {
+    "app.js": 'const assert = require("assert");\nassert.strictEqual({ a: 1 }, { a: 1 });\n',
+  });
+
+  const [error] = JSON.parse(result.stdout).errors;
+  assert.strictEqual(error.pattern, "assertion_failed");
+  assert.match(error.roast, /compared by identity/);
+  assert.match(error.hint, /deepStrictEqual/);
+});
+
+test("--format html writes a report for a crash, but not for a clean run with warnings", () => {
+  const reportDir = fs.mkdtempSync(path.join(os.tmpdir(), "funerr-reports-"));
+  try {
+    const warned = runCli(["--report-dir", reportDir, "app.js"], {
+      "app.js": 'process.emitWarning("careful", "DeprecationWarning");\n',
+    });
+    assert.strictEqual(warned.status, 0);
+    assert.strictEqual(warned.stderr.includes("Full report"), false);
+    assert.deepStrictEqual(fs.readdirSync(reportDir), []);
+
+    const crashed = runCli(["--report-dir", reportDir, "app.js"], {
+      "app.js": 'throw new TypeError("boom");\n',
+    });
+    assert.strictEqual(crashed.status, 1);
+    assert.match(crashed.stderr, /TypeError: boom/);
+    assert.strictEqual(fs.readdirSync(reportDir).length, 1);
+  } finally {
+    fs.rmSync(reportDir, { recursive: true, force: true });
+  }
+});
+
+test("--ascii output is pure ASCII in every tone", () => {
+  const app = [
+    'process.emitWarning("careful", "DeprecationWarning");',
+    "function load() { const config = null; return config.port; }",
+    'function start() { try { load(); } catch (err) { throw new Error("startup failed", { cause: err }); } }',
+    "setTimeout(start, 10);",
+    "",
+  ].join("\n");
+
+  for (const tone of ["roast", "friendly", "plain"]) {
+    const result = runCli(["--ascii", "--tone", tone, "app.js"], { "app.js": app });
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /startup failed/);
+    assert.match(result.stdout, /^[\x00-\x7f]*$/, `${tone} tone printed non-ASCII characters`);
+  }
+});
+
+test("--format json keeps the script's stdout out of the JSON", () => {
+  const result = runCli(["--format", "json", "app.js"], {
+    "app.js": 'console.log("starting up");\nnull.x;\n',
+  });
+
+  const [error] = JSON.parse(result.stdout).errors;
+  assert.match(result.stderr, /starting up/);
+  assert.strictEqual(error.type, "TypeError");
+  assert.strictEqual(error.line, 2);
+  assert.strictEqual(typeof error.column, "number");
+  assert.strictEqual(typeof error.frames[0].line, "number");
+});
+
+test("a V8 out-of-memory abort is diagnosed, not skipped as a signal", () => {
+  const result = runCli(["--format", "json", "--", process.execPath, "--max-old-space-size=16", "app.js"], {
+    "app.js": "const hoard = [];\nwhile (true) hoard.push(new Array(1e5).fill({ x: 1 }));\n",
+  });
+
+  const report = JSON.parse(result.stdout);
+  assert.strictEqual(result.status, 134);
+  assert.strictEqual(report.signal, "SIGABRT");
+  const [error] = report.errors;
+  assert.strictEqual(error.severity, "fatal");
+  assert.strictEqual(error.pattern, "memory_error");
+});
+
+test("an onError: key on the crash line isn't read as the error", () => {
+  const result = runCli(["--format", "json", "app.js"], {
+    "app.js": "const handlers = { onError: () => null.x };\nhandlers.onError();\n",
+  });
+
+  const [error] = JSON.parse(result.stdout).errors;
+  assert.strictEqual(error.type, "TypeError");
+  assert.match(error.message, /Cannot read properties of null/);
+  assert.notStrictEqual(error.pattern, "generic");
+});
+
+test("a nested deepStrictEqual keeps node's multi-line diff", () => {
+  const result = runCli(["--format", "json", "app.js"], {
+    "app.js": [
+      'const assert = require("assert");',
+      'const actual = { a: { b: [1, 2, 3], c: "x" }, d: 1, e: 2, f: 3 };',
+      'const expected = { a: { b: [1, 2, 4], c: "x" }, d: 1, e: 2, f: 3 };',
+      "assert.deepStrictEqual(actual, expected);",
+      "",
+    ].join("\n"),
+  });
+
+  const [error] = JSON.parse(result.stdout).errors;
+  const { diff } = error.assertion;
+  assert.ok(diff.length > 4, `expected a multi-line diff, got ${JSON.stringify(diff)}`);
+  assert.ok(diff.some(row => row.kind === "+" && row.text.trim() === "3"));
+  assert.ok(diff.some(row => row.kind === "-" && row.text.trim() === "4"));
+});
@@ -0,0 +1,144 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { loadConfig, ConfigError } = require("../lib/config");
+
+// A fresh directory holding `files`, removed again after `fn` runs in it
+function withProject(files, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "funerr-config-"));
+  try {
+    for (const [name, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+      fs.writeFileSync(path.join(dir, name), content);
+    }
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("defaults apply without a config file", () => {
+  withProject({}, (dir) => {
+    const config = loadConfig({ cwd: dir, search: false });
+    assert.strictEqual(config.tone, "roast");
+    assert.strictEqual(config.format, "text");
+    assert.strictEqual(config.configPath, null);
+  });
+});
+
+test(".funerrrc.json wins over package.json, and flags win over both", () => {
+  const files = {
+    ".funerrrc.json": JSON.stringify({ tone: "plain", format: "json" }),
+    "package.json": JSON.stringify({ funerr: { tone: "friendly" } }),
+  };
+  withProject(files, (dir) => {
+    const config = loadConfig({ cwd: dir, overrides: { format: "ndjson" } });
+    assert.strictEqual(config.tone, "plain");
+    assert.strictEqual(config.format, "ndjson");
+    assert.strictEqual(config.configPath, path.join(dir, ".funerrrc.json"));
+  });
+});
+
+test("the search walks up to the nearest config", () => {
+  const files = {
+    "package.json": JSON.stringify({ funerr: { tone: "friendly" } }),
+    "packages/app/src/.keep": "",
+  };
+  withProject(files, (dir) => {
+    assert.strictEqual(loadConfig({ cwd: path.join(dir, "packages/app/src") }).tone, "friendly");
+  });
+});
+
+test("--config points at a file outside the search", () => {
+  withProject({ "ci/funerr.json": JSON.stringify({ tone: "plain" }) }, (dir) => {
+    assert.strictEqual(loadConfig({ cwd: dir, configPath: "ci/funerr.json" }).tone, "plain");
+  });
+});
+
+test("funerr.config.cjs is found in an ES module project", () => {
+  const files = {
+    "package.json": JSON.stringify({ type: "module" }),
+    "funerr.config.cjs": 'module.exports = { tone: "plain" };\n',
+  };
+  withProject(files, (dir) => {
+    const config = loadConfig({ cwd: dir });
+    assert.strictEqual(config.tone, "plain");
+    assert.strictEqual(config.configPath, path.join(dir, "funerr.config.cjs"));
+  });
+});
+
+test("export default in funerr.config.js is unwrapped", { skip: !(process.features && process.features.require_module) && "this Node can't require() ES modules" }, () => {
+  const files = {
+    "package.json": JSON.stringify({ type: "module" }),
+    "funerr.config.js": 'export default { tone: "plain" };\n',
+  };
+  withProject(files, (dir) => {
+    assert.strictEqual(loadConfig({ cwd: dir }).tone, "plain");
+  });
+});
+
+test("unknown settings are reported instead of ignored", () => {
+  withProject({ ".funerrrc.json": JSON.stringify({ tonee: "plain" }) }, (dir) => {
+    assert.throws(() => loadConfig({ cwd: dir }), (err) => err instanceof ConfigError && /unknown setting "tonee"/.test(err.message));
+  });
+});
+
+test("bad values name the file and the setting", () => {
+  const cases = [
+    [{ tone: "mean" }, /unknown tone "mean"/],
+    [{ format: "xml" }, /unknown format "xml"/],
+    [{ color: "sometimes" }, /"color" must be/],
+    [{ disabledPatterns: "generic" }, /"disabledPatterns" must be an array/],
+    [{ customPatterns: [{ key: "x", message: "(" }] }, /invalid "message" regex/],
+  ];
+  for (const [settings, expected] of cases) {
+    withProject({ ".funerrrc.json": JSON.stringify(settings) }, (dir) => {
+      assert.throws(() => loadConfig({ cwd: dir }), (err) => {
+        assert.ok(err instanceof ConfigError);
+        assert.strictEqual(err.filepath, path.join(dir, ".funerrrc.json"));
+        assert.match(err.message, expected);
+        return true;
+      });
+    });
+  }
+});
+
+test("a broken config file is a ConfigError", () => {
+  withProject({ ".funerrrc.json": "{ tone: plain" }, (dir) => {
+    assert.throws(() => loadConfig({ cwd: dir }), /not valid JSON/);
+  });
+  withProject({ "funerr.config.js": "module.exports = {;\n" }, (dir) => {
+    assert.throws(() => loadConfig({ cwd: dir }), /failed to load/);
+  });
+});
+
+test("plugins load relative to the config file, with their options", () => {
+  const plugin = 'module.exports = ({ code }) => ({ name: "acme", patterns: [{ key: "acme", code }] });\n';
+  const files = {
+    ".funerrrc.json": JSON.stringify({ plugins: [["./plugin.js", { code: "ACME_DOWN" }]] }),
+    "plugin.js": plugin,
+    "sub/.keep": "",
+  };
+  withProject(files, (dir) => {
+    const [loaded] = loadConfig({ cwd: path.join(dir, "sub") }).plugins;
+    assert.strictEqual(loaded.name, "acme");
+    assert.deepStrictEqual(loaded.patterns, [{ key: "acme", code: "ACME_DOWN" }]);
+  });
+});
+
+test("plugins are validated like custom patterns", () => {
+  const cases = [
+    ["module.exports = { patterns: [{ key: 'x', message: '(' }] };\n", /invalid "message" regex/],
+    ["module.exports = { name: 'empty' };\n", /must export \{ patterns/],
+  ];
+  for (const [source, expected] of cases) {
+    withProject({ ".funerrrc.json": JSON.stringify({ plugins: ["./plugin.js"] }), "plugin.js": source }, (dir) => {
+      assert.throws(() => loadConfig({ cwd: dir }), (err) => err instanceof ConfigError && /plugin "\.\/plugin\.js"/.test(err.message) && expected.test(err.message));
+    });
+  }
+  withProject({ ".funerrrc.json": JSON.stringify({ plugins: ["funerr-plugin-missing"] }) }, (dir) => {
+    assert.throws(() => loadConfig({ cwd: dir }), /not found from/);
+  });
+});
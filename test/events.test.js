@@ -0,0 +1,48 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { splitStderrEvents } = require("../lib/events");
+const { explainOutput } = require("../lib/explain");
+
+const CRASH = [
+  "/app/server.js:3",
+  "  return config.port;",
+  "         ^",
+  "",
+  "TypeError: Cannot read properties of null (reading 'port')",
+  "    at load (/app/server.js:3:10)",
+].join("\n");
+
+test("a source header and the error line under it are one block", () => {
+  const events = splitStderrEvents(CRASH);
+  assert.deepStrictEqual(events.map(e => e.kind), ["error"]);
+  assert.strictEqual(events[0].text, CRASH);
+});
+
+test("a word:digits log line isn't a source header", () => {
+  const events = splitStderrEvents(`retries:3\n${CRASH}`);
+  assert.deepStrictEqual(events.map(e => e.kind), ["output", "error"]);
+  assert.strictEqual(events[0].text, "retries:3");
+});
+
+test("a log line starting with Error isn't an error line", () => {
+  const events = splitStderrEvents("Error connecting to cache, retrying\nconnected");
+  assert.deepStrictEqual(events.map(e => e.kind), ["output"]);
+});
+
+test("error lines with a code or in brackets still open a block", () => {
+  for (const line of ["Error [ERR_X]: nope", "[AggregateError: All promises were rejected] {", "Uncaught RangeError: too far"]) {
+    assert.deepStrictEqual(splitStderrEvents(line).map(e => e.kind), ["error"], line);
+  }
+});
+
+test("logging that looks like an error isn't reported from a clean run", () => {
+  const stderr = "retries:3\nError connecting to cache, retrying\nError\nretries:4\n";
+  assert.deepStrictEqual(explainOutput(stderr, { crashed: false }), []);
+});
+
+test("a logged error is still reported from a clean run", () => {
+  const stderr = "Error: cache unavailable\n    at connect (/app/cache.js:4:11)\n";
+  const [diagnosis] = explainOutput(stderr, { crashed: false });
+  assert.strictEqual(diagnosis.type, "Error");
+  assert.strictEqual(diagnosis.severity, "error");
+});
@@ -0,0 +1,66 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { investigateMissingModule } = require("../lib/modules");
+
+const MANIFEST = JSON.stringify({
+  name: "app",
+  dependencies: { lodash: "^4.0.0" },
+  devDependencies: { chalk: "^5.0.0", mocha: "^10.0.0" },
+});
+
+// Why `require(name)` failed in a project made of `files` (paths ending in
+// "/" are directories)
+function investigate(name, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "funerr-modules-"));
+  try {
+    for (const [file, content] of Object.entries({ "package.json": MANIFEST, ...files })) {
+      const target = path.join(dir, file);
+      if (file.endsWith("/")) {
+        fs.mkdirSync(target, { recursive: true });
+      } else {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, content);
+      }
+    }
+    const info = { fullText: `Error: Cannot find module '${name}'`, filePath: path.join(dir, "index.js") };
+    return investigateMissingModule(info, { module: name }, { cwd: dir });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("a devDependency missing from a production install is dev_only", () => {
+  const result = investigate("chalk", { "node_modules/lodash/": "" });
+  assert.strictEqual(result.reason, "dev_only");
+  assert.strictEqual(result.moveCommand, "npm install --save-prod chalk");
+});
+
+test("a devDependency in a project that was never installed is not_installed", () => {
+  const result = investigate("chalk", {});
+  assert.strictEqual(result.reason, "not_installed");
+  assert.strictEqual(result.installAll, "npm install");
+});
+
+test("a devDependency missing while other devDependencies are installed is not_installed", () => {
+  const result = investigate("chalk", { "node_modules/lodash/": "", "node_modules/mocha/": "" });
+  assert.strictEqual(result.reason, "not_installed");
+});
+
+test("a missing dependency is not_installed, with the lockfile's package manager", () => {
+  const result = investigate("lodash", { "pnpm-lock.yaml": "" });
+  assert.deepStrictEqual(result, { reason: "not_installed", module: "lodash", installAll: "pnpm install" });
+});
+
+test("an undeclared package close to a declared one is a misspelling", () => {
+  const result = investigate("lodahs", {});
+  assert.strictEqual(result.reason, "misspelled_package");
+  assert.strictEqual(result.suggestedModule, "lodash");
+});
+
+test("an undeclared package gets the command to add it", () => {
+  const result = investigate("express", { "yarn.lock": "" });
+  assert.deepStrictEqual(result, { reason: "not_declared", module: "express", addCommand: "yarn add express" });
+});
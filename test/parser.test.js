@@ -0,0 +1,32 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { parseNodeError, extractErrorContext } = require("../lib/parser");
+
+const ANY_REJECTED = [
+  "node:internal/process/promises:391",
+  "    triggerUncaughtException(err, true /* fromPromise */);",
+  "    ^",
+  "",
+  "[AggregateError: All promises were rejected] {",
+  "  [errors]: [",
+  "    Error: a",
+  "        at Object.<anonymous> (/app/any.js:1:29),",
+  "    TypeError: b",
+  "        at Object.<anonymous> (/app/any.js:1:61)",
+  "  ]",
+  "}",
+  "",
+  "Node.js v20.19.5",
+].join("\n");
+
+test("the evidence is the line under the user's source header", () => {
+  const stderr = "/app/server.js:3\n  return config.port;\n         ^\n\nTypeError: nope\n    at load (/app/server.js:3:10)";
+  assert.strictEqual(extractErrorContext(stderr, parseNodeError(stderr)), "return config.port;");
+});
+
+test("an unhandled Promise.any rejection has no evidence line rather than a bracket", () => {
+  const info = parseNodeError(ANY_REJECTED);
+  assert.strictEqual(info.type, "AggregateError");
+  assert.strictEqual(info.errors.length, 2);
+  assert.strictEqual(extractErrorContext(info.fullText, info), null);
+});
@@ -0,0 +1,74 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { matchPatterns, checkCustomPattern } = require("../lib/patterns");
+
+// The parsed-error fields the matcher reads
+function info(type, message, { code = null, fullText = `${type}: ${message}` } = {}) {
+  return { type, message, code, fullText };
+}
+
+test("exports is not defined is a module-system mix-up, not a missing declaration", () => {
+  const match = matchPatterns(info("ReferenceError", "exports is not defined"));
+  assert.strictEqual(match.pattern, "export_error");
+  assert.strictEqual(match.runnersUp[0].pattern, "not_defined");
+});
+
+test("other undefined names are still not_defined", () => {
+  const match = matchPatterns(info("ReferenceError", "usr is not defined"));
+  assert.strictEqual(match.pattern, "not_defined");
+  assert.strictEqual(match.captures.variable, "usr");
+});
+
+test("a property named heap isn't an out-of-memory crash", () => {
+  assert.strictEqual(matchPatterns(info("TypeError", "Cannot read properties of undefined (reading 'heap')")).pattern, "undefined_property");
+  assert.strictEqual(matchPatterns(info("FatalError", "Reached heap limit Allocation failed - JavaScript heap out of memory")).pattern, "memory_error");
+});
+
+test("spread only wins when the message is about spread syntax", () => {
+  assert.strictEqual(matchPatterns(info("TypeError", "Cannot read properties of null (reading 'spread')")).pattern, "null_property");
+  assert.strictEqual(matchPatterns(info("TypeError", "Spread syntax requires ...iterable[Symbol.iterator] to be a function")).pattern, "spread_error");
+});
+
+test("a message mentioning promise and catch doesn't make a missing .catch()", () => {
+  const match = matchPatterns(info("TypeError", "promise.catch is not a function"));
+  assert.strictEqual(match.pattern, "not_a_function");
+});
+
+test("invalid array length is reachable", () => {
+  assert.strictEqual(matchPatterns(info("RangeError", "Invalid array length")).pattern, "invalid_array_length");
+});
+
+test("a code and a message beat a message alone", () => {
+  const match = matchPatterns(info("Error", "connect ECONNREFUSED 127.0.0.1:3000", { code: "ECONNREFUSED" }));
+  assert.strictEqual(match.pattern, "conn_refused");
+  assert.strictEqual(match.captures.port, "3000");
+  assert.ok(match.confidence > 0.95);
+});
+
+test("custom patterns beat built-ins, and equal scores go to the first", () => {
+  const customPatterns = [
+    { key: "first", type: "TypeError" },
+    { key: "second", type: "TypeError" },
+  ];
+  const match = matchPatterns(info("TypeError", "x is not a function"), { customPatterns });
+  assert.strictEqual(match.pattern, "first");
+  assert.deepStrictEqual(match.runnersUp.map(r => r.pattern).slice(0, 2), ["second", "not_a_function"]);
+});
+
+test("disabled patterns hand over to the next best match", () => {
+  const match = matchPatterns(info("TypeError", "x is not a function"), { disabledPatterns: ["not_a_function"] });
+  assert.strictEqual(match.pattern, "type_generic");
+});
+
+test("nothing matching is generic", () => {
+  assert.deepStrictEqual(matchPatterns(info("UnknownError", "???")), { pattern: "generic", confidence: 0, captures: {}, runnersUp: [] });
+});
+
+test("custom patterns are checked before use", () => {
+  assert.strictEqual(checkCustomPattern({ key: "ok", message: "timed out" }), null);
+  assert.match(checkCustomPattern({ type: "TypeError" }), /needs a "key"/);
+  assert.match(checkCustomPattern({ key: "empty" }), /needs one of/);
+  assert.match(checkCustomPattern({ key: "bad", message: "(" }), /invalid "message" regex/);
+  assert.match(checkCustomPattern({ key: "bad", stack: 42 }), /isn't a string or RegExp/);
+  assert.match(checkCustomPattern({ key: "bad", type: "X", priority: "high" }), /"priority" that isn't a number/);
+});
@@ -0,0 +1,36 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { spawnSync } = require("node:child_process");
+
+const NODE_TEST_REPORTER = path.join(__dirname, "..", "reporters", "node-test.js");
+
+test("the node:test reporter puts the roast and fix under a failing test", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "funerr-reporter-"));
+  try {
+    fs.writeFileSync(path.join(dir, "profile.test.js"), [
+      'const { test } = require("node:test");',
+      'test("passes", () => {});',
+      'test("reads a missing profile", () => { const user = {}; return user.profile.name; });',
+      "",
+    ].join("\n"));
+
+    // Without this, the child thinks it's one of our own test files
+    const { NODE_TEST_CONTEXT, ...env } = process.env;
+    const result = spawnSync(process.execPath, ["--test", `--test-reporter=${NODE_TEST_REPORTER}`, "profile.test.js"], {
+      cwd: dir, encoding: "utf8", env: { ...env, NO_COLOR: "1" },
+    });
+
+    assert.strictEqual(result.status, 1);
+    const lines = result.stdout.split("\n");
+    const failure = lines.findIndex(l => /✖ reads a missing profile/.test(l));
+    const hint = lines.findIndex(l => l.includes("user.profile?.name"));
+    assert.ok(failure !== -1, result.stdout);
+    assert.ok(hint > failure, "the hint comes after the failing test");
+    assert.match(result.stdout, /ℹ fail 1/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,90 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { originalPositionFor, applySourceMaps } = require("../lib/sourcemap");
+
+// Generated line 1 maps to a.ts 1:1; line 2 to a.ts 2:1 and, from column 9,
+// a.ts 2:9; line 3 to b.ts 2:8 (a negative column step); line 4, from
+// column 17 (a two-digit VLQ), to b.ts 4:8.
+const MAPPINGS = "AAAA;AACA,QAAQ;ACAD;gBAEA";
+const MAP = { version: 3, sources: ["a.ts", "webpack://app/./src/b.ts"], sourcesContent: ["// a", "// b"], mappings: MAPPINGS };
+
+function withBuild(files, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "funerr-sourcemap-"));
+  try {
+    for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), content);
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const GENERATED = "l1\nl2\nl3\nl4\n";
+
+test("VLQ mappings decode to 1-based original positions", () => {
+  const files = { "app.js": `${GENERATED}//# sourceMappingURL=app.js.map\n`, "app.js.map": JSON.stringify(MAP) };
+  withBuild(files, (dir) => {
+    const at = (line, column) => {
+      const pos = originalPositionFor(path.join(dir, "app.js"), line, column);
+      return pos && [path.relative(dir, pos.file), pos.line, pos.column];
+    };
+    assert.deepStrictEqual(at(1, 1), ["a.ts", 1, 1]);
+    assert.deepStrictEqual(at(2, 5), ["a.ts", 2, 1]);
+    assert.deepStrictEqual(at(2, 9), ["a.ts", 2, 9]);
+    assert.deepStrictEqual(at(3, 1), [path.join("src", "b.ts"), 2, 8]);
+    assert.deepStrictEqual(at(4, 17), [path.join("src", "b.ts"), 4, 8]);
+    assert.strictEqual(at(5, 1), null);
+  });
+});
+
+test("inline maps and maps sitting next to the file are read too", () => {
+  const inline = Buffer.from(JSON.stringify(MAP)).toString("base64");
+  const files = {
+    "inline.js": `${GENERATED}//# sourceMappingURL=data:application/json;charset=utf-8;base64,${inline}\n`,
+    "beside.js": GENERATED,
+    "beside.js.map": JSON.stringify(MAP),
+    "plain.js": GENERATED,
+  };
+  withBuild(files, (dir) => {
+    assert.strictEqual(originalPositionFor(path.join(dir, "inline.js"), 2, 9).column, 9);
+    assert.strictEqual(originalPositionFor(path.join(dir, "beside.js"), 2, 9).column, 9);
+    assert.strictEqual(originalPositionFor(path.join(dir, "plain.js"), 2, 9), null);
+  });
+});
+
+test("a map is reread once its file changes, and reused until then", () => {
+  withBuild({ "app.js": GENERATED, "app.js.map": JSON.stringify(MAP) }, (dir) => {
+    const mapPath = path.join(dir, "app.js.map");
+    const first = new Date("2024-01-01T00:00:00Z");
+    fs.utimesSync(mapPath, first, first);
+    assert.strictEqual(originalPositionFor(path.join(dir, "app.js"), 1, 1).line, 1);
+
+    // Same mtime: the cached map is still used
+    fs.writeFileSync(mapPath, JSON.stringify({ ...MAP, mappings: "AAKA" }));
+    fs.utimesSync(mapPath, first, first);
+    assert.strictEqual(originalPositionFor(path.join(dir, "app.js"), 1, 1).line, 1);
+
+    // A rebuild: the new map is read
+    const later = new Date(first.getTime() + 5000);
+    fs.utimesSync(mapPath, later, later);
+    assert.strictEqual(originalPositionFor(path.join(dir, "app.js"), 1, 1).line, 6);
+  });
+});
+
+test("applySourceMaps moves the location and frames, keeping the generated ones", () => {
+  withBuild({ "app.js": GENERATED, "app.js.map": JSON.stringify(MAP) }, (dir) => {
+    const filePath = path.join(dir, "app.js");
+    const info = {
+      type: "TypeError", message: "nope", file: "app.js", filePath, line: 2, column: 9,
+      frames: [{ fn: "main", file: filePath, line: 2, column: 9, kind: "user" }],
+    };
+    const mapped = applySourceMaps(info, { cwd: dir });
+    assert.strictEqual(mapped.file, "a.ts");
+    assert.deepStrictEqual([mapped.line, mapped.column], [2, 9]);
+    assert.deepStrictEqual(mapped.generated, { file: "app.js", filePath, line: 2, column: 9 });
+    assert.strictEqual(mapped.frames[0].file, path.join(dir, "a.ts"));
+    assert.deepStrictEqual(mapped.frames[0].generated, { file: filePath, line: 2, column: 9 });
+  });
+});
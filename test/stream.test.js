@@ -0,0 +1,65 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { setTimeout: sleep } = require("node:timers/promises");
+const { createStderrTap } = require("../lib/stream");
+
+const CRASH = "/app/server.js:3\n  return config.port;\n         ^\n\nTypeError: nope\n    at load (/app/server.js:3:10)\n";
+
+// A tap that collects what it writes through
+function tap(options) {
+  const written = [];
+  const stderr = createStderrTap(text => written.push(text), options);
+  return { stderr, output: () => written.join("") };
+}
+
+test("ordinary lines go straight through", () => {
+  const { stderr, output } = tap();
+  stderr.push("connecting\nstill here\n");
+  assert.strictEqual(output(), "connecting\nstill here\n");
+  assert.strictEqual(stderr.finish(false), "connecting\nstill here");
+});
+
+test("a line split across chunks is written once", () => {
+  const { stderr, output } = tap();
+  stderr.push("Downloading 10%");
+  assert.strictEqual(output(), "Downloading 10%");
+  stderr.push(" 20%\nnext\n");
+  assert.strictEqual(output(), "Downloading 10% 20%\nnext\n");
+  assert.strictEqual(stderr.finish(false), "Downloading 10% 20%\nnext");
+});
+
+test("a crash block is held back and dropped when the process dies", () => {
+  const { stderr, output } = tap();
+  stderr.push("starting\n");
+  stderr.push(CRASH.slice(0, 20));
+  stderr.push(CRASH.slice(20));
+  assert.strictEqual(output(), "starting\n");
+
+  const text = stderr.finish(true);
+  assert.strictEqual(output(), "starting\n");
+  assert.strictEqual(text, `starting\n${CRASH}`.trimEnd());
+});
+
+test("a held block is released once the process keeps running", async () => {
+  const { stderr, output } = tap({ holdMs: 20 });
+  stderr.push("Error: cache unavailable\n    at connect (/app/cache.js:4:11)\n");
+  assert.strictEqual(output(), "");
+  await sleep(60);
+  assert.strictEqual(output(), "Error: cache unavailable\n    at connect (/app/cache.js:4:11)\n");
+  stderr.finish(false);
+});
+
+test("a clean exit writes out whatever is still held", () => {
+  const { stderr, output } = tap({ holdMs: 10000 });
+  stderr.push("Error: logged on the way out\nno newline at the end");
+  assert.strictEqual(output(), "");
+  stderr.finish(false);
+  assert.strictEqual(output(), "Error: logged on the way out\nno newline at the end");
+});
+
+test("only the last stretch of stderr is kept for diagnosis", () => {
+  const { stderr } = tap();
+  for (let i = 0; i < 1500; i++) stderr.push(`line ${i}\n`);
+  const lines = stderr.finish(false).split("\n");
+  assert.strictEqual(lines[0], "line 500");
+});